@@ -0,0 +1,39 @@
+// Agent job status API - the background agent runs for a tracking id (or one job)
+import { requireAuth } from './apiAuth.js';
+import { jsonResponse } from './apiUtils.js';
+import { agentJobs } from './agentJobs.js';
+
+export const handler = async (event, context) => {
+  const unauthorized = requireAuth(event);
+  if (unauthorized) return unauthorized;
+
+  try {
+    const params = event.queryStringParameters || {};
+
+    if (params.job_id) {
+      const job = await agentJobs.getJob(params.job_id);
+      if (!job) {
+        return jsonResponse(404, { success: false, error: 'Job not found' });
+      }
+      const { payload, ...status } = job;
+      return jsonResponse(200, { success: true, job: status });
+    }
+
+    if (!params.tracking_id) {
+      return jsonResponse(400, { success: false, error: 'tracking_id or job_id is required' });
+    }
+
+    const jobs = await agentJobs.listJobs(params.tracking_id);
+    console.log(`[JOBS] ${jobs.length} jobs for ${params.tracking_id}`);
+    return jsonResponse(200, {
+      success: true,
+      tracking_id: params.tracking_id,
+      status: jobs[0]?.status || null,
+      jobs
+    });
+
+  } catch (error) {
+    console.error('[JOBS] Error loading jobs:', error);
+    return jsonResponse(500, { success: false, error: error.message });
+  }
+};
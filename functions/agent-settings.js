@@ -0,0 +1,147 @@
+// Email Response Settings API - get, replace, patch, delete, version history and rollback per user
+import { requireAuth } from './apiAuth.js';
+import { jsonResponse, readJsonBody, normalizeUserCode, isValidUserCode, invalidUserCodeResponse } from './apiUtils.js';
+import { settingsStore } from './settingsStore.js';
+import { validateSettings, mergeSettings, stripUnknownSettings } from './settingsSchema.js';
+
+// Optional optimistic locking: If-Match (or expected_version) must name the current version
+function versionConflict(event, body, current) {
+  const expected = event.headers?.['if-match'] || event.headers?.['If-Match'] || body.expected_version;
+  if (expected === undefined || expected === null || expected === '') return null;
+
+  const currentVersion = current ? current.version : 0;
+  if (parseInt(String(expected).replace(/"/g, ''), 10) === currentVersion) return null;
+  return jsonResponse(409, {
+    success: false,
+    error: `Settings have changed (current version ${currentVersion}); reload and try again`,
+    current_version: currentVersion
+  });
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+// Validates, then saves as a new version. extra goes into the response (dropped_keys, rolled_back_from).
+async function save(userCode, value, changeType, { rolledBackFrom, ...extra } = {}) {
+  const validation = validateSettings(value);
+  if (!validation.success) {
+    return jsonResponse(400, { success: false, error: 'Invalid settings', issues: validation.issues, ...extra });
+  }
+  const saved = await settingsStore.saveSettings(userCode, validation.data, undefined, { changeType, rolledBackFrom });
+  console.log(`[SETTINGS] Saved version ${saved.version} for user ${userCode} (${changeType})`);
+  return jsonResponse(200, {
+    success: true,
+    settings: saved.value,
+    version: saved.version,
+    updated_at: saved.updated_at,
+    ...(rolledBackFrom ? { rolled_back_from: rolledBackFrom } : {}),
+    ...extra
+  });
+}
+
+// Settings saved before the schema existed may hold keys it no longer knows; drop them, noting which
+function droppedKeysInfo(dropped) {
+  return dropped.length ? { dropped_keys: dropped } : {};
+}
+
+export const handler = async (event, context) => {
+  const unauthorized = requireAuth(event);
+  if (unauthorized) return unauthorized;
+
+  try {
+    const params = event.queryStringParameters || {};
+    const { body, response: invalidBody } = readJsonBody(event);
+    if (invalidBody) return invalidBody;
+
+    const userCode = normalizeUserCode(params.user_code || body.user_code);
+    if (!isValidUserCode(userCode)) return invalidUserCodeResponse();
+
+    switch (event.httpMethod) {
+      case 'GET': {
+        if (params.history) {
+          const { versions, truncated } = await settingsStore.listVersions(userCode);
+          return jsonResponse(200, { success: true, truncated, versions });
+        }
+        if (params.version) {
+          const version = await settingsStore.getVersion(userCode, parseInt(params.version, 10));
+          return version
+            ? jsonResponse(200, { success: true, ...version })
+            : jsonResponse(404, { success: false, error: 'Version not found' });
+        }
+        const stored = await settingsStore.getSettings(userCode);
+        return stored
+          ? jsonResponse(200, { success: true, settings: stored.value, version: stored.version, updated_at: stored.updated_at })
+          : jsonResponse(404, { success: false, error: 'No settings saved for this user' });
+      }
+
+      // Replace the whole settings object
+      case 'PUT': {
+        if (!isPlainObject(body.settings)) {
+          return jsonResponse(400, { success: false, error: 'settings object is required' });
+        }
+        const current = await settingsStore.getSettings(userCode);
+        const conflict = versionConflict(event, body, current);
+        if (conflict) return conflict;
+        return save(userCode, body.settings, 'put');
+      }
+
+      // Change some fields (null removes one); the merged result must still be valid.
+      // Unknown keys in stored (legacy) settings are dropped, unknown keys in the patch are rejected.
+      case 'PATCH': {
+        if (!isPlainObject(body.settings)) {
+          return jsonResponse(400, { success: false, error: 'settings object is required' });
+        }
+        const current = await settingsStore.getSettings(userCode);
+        if (!current) {
+          return jsonResponse(404, { success: false, error: 'No settings saved for this user; PUT them first' });
+        }
+        const conflict = versionConflict(event, body, current);
+        if (conflict) return conflict;
+        const { value: known, dropped } = stripUnknownSettings(current.value);
+        if (dropped.length) {
+          console.log(`[SETTINGS] Dropping unknown stored keys for user ${userCode}: ${dropped.join(', ')}`);
+        }
+        return save(userCode, mergeSettings(known, body.settings), 'patch', droppedKeysInfo(dropped));
+      }
+
+      case 'POST': {
+        if (body.action !== 'rollback') {
+          return jsonResponse(400, { success: false, error: 'action must be rollback' });
+        }
+        const version = parseInt(body.version, 10);
+        if (!Number.isInteger(version) || version < 1) {
+          return jsonResponse(400, { success: false, error: 'version must be a positive integer' });
+        }
+        const current = await settingsStore.getSettings(userCode);
+        const conflict = versionConflict(event, body, current);
+        if (conflict) return conflict;
+
+        // The old version is saved again as a new one, so it must pass today's validation
+        const target = await settingsStore.getVersion(userCode, version);
+        if (!target || target.value === null) {
+          return jsonResponse(404, { success: false, error: `Version ${version} not found or was a delete` });
+        }
+        const { value: known, dropped } = stripUnknownSettings(target.value);
+        console.log(`[SETTINGS] Rolling user ${userCode} back to version ${version}`);
+        return save(userCode, known, 'rollback', { rolledBackFrom: version, ...droppedKeysInfo(dropped) });
+      }
+
+      case 'DELETE': {
+        const deleted = await settingsStore.deleteSettings(userCode);
+        if (!deleted) {
+          return jsonResponse(404, { success: false, error: 'No settings saved for this user' });
+        }
+        console.log(`[SETTINGS] Deleted settings for user ${userCode} (version ${deleted.version})`);
+        return jsonResponse(200, { success: true, deleted: true, version: deleted.version });
+      }
+
+      default:
+        return jsonResponse(405, { success: false, error: 'Method not allowed' });
+    }
+
+  } catch (error) {
+    console.error('[SETTINGS] Error handling settings request:', error);
+    return jsonResponse(500, { success: false, error: error.message });
+  }
+};
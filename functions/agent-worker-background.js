@@ -0,0 +1,96 @@
+// Background worker - runs the email agent for a queued job with retries (Netlify background function, 15 min limit)
+import { processInboundEmail } from './mailgun-webhook.js';
+import { agentJobs, isWorkerRequest, retryDelaySeconds, RUNNABLE_STATUSES } from './agentJobs.js';
+import { eventStore } from './eventStore.js';
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// A failed attempt may still have sent (or drafted) the reply; retrying would email the lead twice
+async function replySentSince(trackingId, since) {
+  const { rows } = await eventStore.findEvents(
+    { tracking_id: trackingId, event_type: ['ai_reply', 'draft_created'], timestamp: { gte: since } },
+    { fields: ['timestamp'], limit: 1 }
+  );
+  return rows.length > 0;
+}
+
+export async function handler(event) {
+  // Only triggerWorker() may start a run; a guessed job id is not enough
+  if (!isWorkerRequest(event)) {
+    console.warn('[WORKER] Rejected request without a valid worker secret');
+    return;
+  }
+
+  let jobId;
+  try {
+    jobId = JSON.parse(event.body || '{}').job_id;
+  } catch (error) {
+    console.error('[WORKER] Invalid request body');
+    return;
+  }
+
+  let job = jobId ? await agentJobs.getJob(jobId) : null;
+  if (!job || !RUNNABLE_STATUSES.includes(job.status)) {
+    console.log(`[WORKER] Job ${jobId} not found or not runnable (${job?.status}), ignoring`);
+    return;
+  }
+
+  // Retries are scheduled by re-invoking the worker; wait out the backoff here
+  const waitMs = new Date(job.next_attempt_at).getTime() - Date.now();
+  if (waitMs > 0) {
+    console.log(`[WORKER] Waiting ${Math.round(waitMs / 1000)}s before attempt ${job.attempts + 1} of ${job.job_id}`);
+    await sleep(waitMs);
+  }
+
+  const attemptStartedAt = new Date().toISOString();
+  const claimed = await agentJobs.claimJob(job);
+  if (!claimed) {
+    console.log(`[WORKER] Attempt ${job.attempts + 1} of ${job.job_id} is claimed by another worker, ignoring`);
+    return;
+  }
+  job = claimed;
+  console.log(`[WORKER] Running ${job.job_id} for ${job.tracking_id} (attempt ${job.attempts}/${job.max_attempts})`);
+
+  try {
+    const output = await processInboundEmail(job.payload);
+    await agentJobs.updateJob(job, {
+      status: 'completed',
+      last_error: '',
+      agent_output: String(output).substring(0, 2000)
+    });
+    console.log(`[WORKER] Job ${job.job_id} completed`);
+
+  } catch (error) {
+    console.error(`[WORKER] Job ${job.job_id} attempt ${job.attempts} failed:`, error);
+
+    let retry = job.attempts < job.max_attempts;
+    let lastError = error.message;
+    if (retry && await replySentSince(job.tracking_id, attemptStartedAt).catch(() => false)) {
+      retry = false;
+      lastError = `${error.message} (reply already sent, not retrying)`;
+    }
+
+    if (!retry) {
+      await agentJobs.updateJob(job, { status: 'failed', last_error: lastError });
+      console.log(`[WORKER] Job ${job.job_id} failed permanently`);
+      return;
+    }
+
+    const delay = retryDelaySeconds(job.attempts + 1);
+    job = await agentJobs.updateJob(job, {
+      status: 'retrying',
+      last_error: lastError,
+      next_attempt_at: new Date(Date.now() + delay * 1000).toISOString()
+    });
+    console.log(`[WORKER] Retrying ${job.job_id} in ${delay}s`);
+
+    try {
+      await agentJobs.triggerWorker(job.job_id);
+    } catch (triggerError) {
+      console.error('[WORKER] Could not schedule retry:', triggerError);
+      await agentJobs.updateJob(job, { status: 'failed', last_error: `${lastError} (retry not scheduled: ${triggerError.message})` });
+    }
+  }
+}
@@ -0,0 +1,188 @@
+const crypto = require('crypto');
+const { getCollection } = require('./dataStore');
+const { claimStore } = require('./claimStore');
+
+/**
+ * Agent jobs for inbound email (agent_jobs)
+ * mailgun-webhook persists the inbound message, queues a job and answers
+ * Mailgun at once; agent-worker-background runs the agent for the job.
+ *
+ *   queued -> running -> completed
+ *                     -> retrying -> running ... (up to AGENT_JOB_MAX_ATTEMPTS)
+ *                     -> failed
+ *
+ * Job ids are random and only queued/retrying jobs are ever picked up, so a
+ * stray call to the worker can't start an arbitrary agent run.
+ *
+ * A worker must claimJob() before running an attempt: the worker can be
+ * invoked more than once for the same job, and two runs would email the lead
+ * twice. The attempt is taken in claimStore under job:<job_id>:<attempt>, so
+ * exactly one worker gets each attempt. Job rows are updated in one write
+ * (upsert), never deleted and re-inserted.
+ *
+ * The worker only runs for requests carrying AGENT_WORKER_SECRET in the
+ * X-Examark-Worker-Secret header, which triggerWorker() sends.
+ */
+
+const JOBS_COLLECTION = 'agent_jobs';
+const WORKER_FUNCTION = 'agent-worker-background';
+const WORKER_SECRET_HEADER = 'x-examark-worker-secret';
+
+const DEFAULT_MAX_ATTEMPTS = 3;
+// Wait before attempt 2, 3, ... (the last value repeats)
+const RETRY_BACKOFF_SECONDS = [30, 120, 300];
+
+const JOB_FIELDS = [
+    'job_id', 'tracking_id', 'message_id', 'status', 'attempts', 'max_attempts', 'payload',
+    'created_at', 'updated_at', 'next_attempt_at', 'last_error', 'agent_output'
+];
+
+const RUNNABLE_STATUSES = ['queued', 'retrying'];
+
+function jobs() {
+    return getCollection(JOBS_COLLECTION);
+}
+
+function getWorkerSecret() {
+    return (process.env.AGENT_WORKER_SECRET || '').trim();
+}
+
+/**
+ * Whether a request to the worker came from triggerWorker()
+ */
+function isWorkerRequest(event) {
+    const expected = getWorkerSecret();
+    if (!expected) return false;
+
+    const headers = event.headers || {};
+    const provided = headers[WORKER_SECRET_HEADER] || headers['X-Examark-Worker-Secret'] || '';
+    const expectedHash = crypto.createHash('sha256').update(expected).digest();
+    const providedHash = crypto.createHash('sha256').update(String(provided).trim()).digest();
+    return crypto.timingSafeEqual(expectedHash, providedHash);
+}
+
+function getMaxAttempts() {
+    const configured = parseInt(process.env.AGENT_JOB_MAX_ATTEMPTS, 10);
+    return Number.isFinite(configured) && configured > 0 ? configured : DEFAULT_MAX_ATTEMPTS;
+}
+
+/**
+ * Seconds to wait before the given attempt number (2 = first retry)
+ */
+function retryDelaySeconds(attempt) {
+    return RETRY_BACKOFF_SECONDS[Math.min(attempt - 2, RETRY_BACKOFF_SECONDS.length - 1)] || 0;
+}
+
+// Rows come back with payload as a JSON string; callers get it parsed
+function toJob(row) {
+    if (!row) return null;
+    const { id, ...job } = row;
+    return { ...job, payload: job.payload ? JSON.parse(job.payload) : null };
+}
+
+function toRow(job) {
+    return { ...job, payload: JSON.stringify(job.payload ?? null) };
+}
+
+const agentJobs = {
+    async createJob({ trackingId, messageId = '', payload }) {
+        const now = new Date().toISOString();
+        const job = {
+            job_id: `job-${crypto.randomBytes(16).toString('hex')}`,
+            tracking_id: trackingId,
+            message_id: messageId || '',
+            status: 'queued',
+            attempts: 0,
+            max_attempts: getMaxAttempts(),
+            payload,
+            created_at: now,
+            updated_at: now,
+            next_attempt_at: now,
+            last_error: '',
+            agent_output: ''
+        };
+        await jobs().insert([toRow(job)]);
+        return job;
+    },
+
+    async getJob(jobId) {
+        const { rows } = await jobs().find({ job_id: jobId }, { fields: JOB_FIELDS, limit: 1 });
+        return toJob(rows[0]);
+    },
+
+    /**
+     * Jobs for a conversation, newest first (payload omitted)
+     */
+    async listJobs(trackingId) {
+        const { rows } = await jobs().find(
+            { tracking_id: trackingId },
+            { fields: JOB_FIELDS.filter(field => field !== 'payload') }
+        );
+        return rows
+            .map(({ id, ...job }) => job)
+            .sort((a, b) => (b.created_at || '').localeCompare(a.created_at || ''));
+    },
+
+    /**
+     * The job that handled an inbound Message-ID in a conversation (payload included)
+     */
+    async findJobByMessageId(trackingId, messageId) {
+        if (!trackingId || !messageId) return null;
+        const { rows } = await jobs().find(
+            { tracking_id: trackingId, message_id: messageId },
+            { fields: JOB_FIELDS, limit: 1 }
+        );
+        return toJob(rows[0]);
+    },
+
+    /**
+     * Take the job's next attempt for this worker and mark it running.
+     * Returns the running job, or null when the job isn't runnable or another
+     * worker holds the claim for that attempt.
+     */
+    async claimJob(job) {
+        const attempt = job.attempts + 1;
+        const { claimed } = await claimStore.claim(`job:${job.job_id}:${attempt}`);
+        if (!claimed) return null;
+
+        // The attempt is ours; the job may still have been cancelled or failed meanwhile
+        const current = await this.getJob(job.job_id);
+        if (!current || !RUNNABLE_STATUSES.includes(current.status) || current.attempts !== job.attempts) {
+            return null;
+        }
+        return this.updateJob(current, { status: 'running', attempts: attempt });
+    },
+
+    async updateJob(job, changes) {
+        const updated = { ...job, ...changes, updated_at: new Date().toISOString() };
+        const { rows } = await jobs().find({ job_id: job.job_id }, { fields: ['job_id'], limit: 1 });
+        if (!rows.length) throw new Error(`Job ${job.job_id} no longer exists`);
+        await jobs().upsert([{ ...toRow(updated), id: rows[0].id }]);
+        return updated;
+    },
+
+    /**
+     * Start the background worker for a job. Background functions answer 202
+     * straight away, so this returns as soon as Netlify has accepted it.
+     */
+    async triggerWorker(jobId) {
+        const baseUrl = (process.env.URL || process.env.TRACKING_BASE_URL || '').replace(/\/+$/, '');
+        if (!baseUrl) {
+            throw new Error('URL environment variable not set, cannot start the agent worker');
+        }
+        const secret = getWorkerSecret();
+        if (!secret) {
+            throw new Error('AGENT_WORKER_SECRET environment variable not set, cannot start the agent worker');
+        }
+        const response = await fetch(`${baseUrl}/.netlify/functions/${WORKER_FUNCTION}`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', [WORKER_SECRET_HEADER]: secret },
+            body: JSON.stringify({ job_id: jobId })
+        });
+        if (!response.ok) {
+            throw new Error(`Agent worker trigger failed with status ${response.status}`);
+        }
+    }
+};
+
+module.exports = { agentJobs, isWorkerRequest, retryDelaySeconds, RUNNABLE_STATUSES, JOBS_COLLECTION };
@@ -0,0 +1,42 @@
+const crypto = require('crypto');
+
+/**
+ * Bearer-token auth for ExaMark's JSON APIs and dashboard
+ * Set EXAMARK_API_TOKEN in the Netlify environment and send
+ * "Authorization: Bearer <token>" with every request.
+ */
+
+function getApiToken() {
+    return (process.env.EXAMARK_API_TOKEN || '').trim();
+}
+
+function isAuthorized(event) {
+    const expected = getApiToken();
+    if (!expected) return false;
+
+    const header = event.headers?.authorization || event.headers?.Authorization || '';
+    const match = header.match(/^Bearer\s+(.+)$/i);
+    if (!match) return false;
+
+    const expectedHash = crypto.createHash('sha256').update(expected).digest();
+    const providedHash = crypto.createHash('sha256').update(match[1].trim()).digest();
+    return crypto.timingSafeEqual(expectedHash, providedHash);
+}
+
+/**
+ * Returns a 401 response when the request isn't authorized, otherwise null
+ */
+function requireAuth(event) {
+    if (isAuthorized(event)) return null;
+
+    return {
+        statusCode: 401,
+        headers: {
+            'Content-Type': 'application/json',
+            'WWW-Authenticate': 'Bearer'
+        },
+        body: JSON.stringify({ success: false, error: 'Unauthorized' })
+    };
+}
+
+module.exports = { isAuthorized, requireAuth };
@@ -0,0 +1,52 @@
+/**
+ * Request and response helpers shared by ExaMark's JSON APIs
+ * (authentication is in apiAuth.js)
+ */
+
+const USER_CODE_PATTERN = /^[a-f0-9]{8}$/;
+
+function jsonResponse(statusCode, body) {
+    return {
+        statusCode,
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body, null, 2)
+    };
+}
+
+/**
+ * The request's JSON body as { body } ({} when there is none), or
+ * { response } with a 400 to return when it isn't valid JSON
+ */
+function readJsonBody(event) {
+    if (!event.body) return { body: {} };
+    try {
+        const text = event.isBase64Encoded ? Buffer.from(event.body, 'base64').toString() : event.body;
+        return { body: JSON.parse(text) };
+    } catch (error) {
+        return { response: jsonResponse(400, { success: false, error: 'Invalid JSON' }) };
+    }
+}
+
+/**
+ * A user code from a query or body value, lowercased ('' when missing)
+ */
+function normalizeUserCode(value) {
+    return String(value || '').trim().toLowerCase();
+}
+
+function isValidUserCode(userCode) {
+    return USER_CODE_PATTERN.test(userCode);
+}
+
+function invalidUserCodeResponse() {
+    return jsonResponse(400, { success: false, error: 'user_code must be 8 hex characters' });
+}
+
+module.exports = {
+    jsonResponse,
+    readJsonBody,
+    normalizeUserCode,
+    isValidUserCode,
+    invalidUserCodeResponse,
+    USER_CODE_PATTERN
+};
@@ -0,0 +1,346 @@
+const zlib = require('zlib');
+
+/**
+ * Inbound attachment capture and text extraction
+ * Every attachment is recorded with name, type and size. Text is pulled out of
+ * plain-text, PDF and DOCX files (no third-party parsers, so scanned PDFs and
+ * unusual font encodings simply yield no text) within these limits:
+ *
+ *   ATTACHMENT_MAX_EXTRACT_BYTES   largest file we try to read (default 5 MB)
+ *   MAX_TEXT_CHARS_PER_FILE        text kept per attachment
+ *   MAX_TEXT_CHARS_TOTAL           text kept across all attachments of one message
+ *   MAX_JOB_TEXT_BYTES             UTF-8 bytes of that text a queued message may carry
+ *
+ * The totals keep the agent job payload (and the prompt) a sensible size. The
+ * payload is a single store field, and text in other scripts takes up to three
+ * bytes a character, so limitAttachmentText() trims to a byte budget as well.
+ */
+
+const DEFAULT_MAX_EXTRACT_BYTES = 5 * 1024 * 1024;
+const MAX_TEXT_CHARS_PER_FILE = 15000;
+const MAX_TEXT_CHARS_TOTAL = 30000;
+const MAX_JOB_TEXT_BYTES = 32 * 1024;
+// Decompressed size cap for any one DOCX entry or PDF stream
+const MAX_INFLATED_BYTES = 20 * 1024 * 1024;
+
+const DOCX_TYPE = 'application/vnd.openxmlformats-officedocument.wordprocessingml.document';
+const TEXT_EXTENSIONS = ['txt', 'text', 'csv', 'md', 'markdown', 'tsv', 'log', 'json'];
+
+function getMaxExtractBytes() {
+    const configured = parseInt(process.env.ATTACHMENT_MAX_EXTRACT_BYTES, 10);
+    return Number.isFinite(configured) && configured > 0 ? configured : DEFAULT_MAX_EXTRACT_BYTES;
+}
+
+/**
+ * text, pdf, docx or null, from the declared type with the file extension as a fallback
+ */
+function detectKind(filename, contentType) {
+    const type = String(contentType || '').toLowerCase();
+    const extension = String(filename || '').toLowerCase().split('.').pop();
+
+    if (type === 'application/pdf' || extension === 'pdf') return 'pdf';
+    if (type === DOCX_TYPE || extension === 'docx') return 'docx';
+    if (type.startsWith('text/') || TEXT_EXTENSIONS.includes(extension)) return 'text';
+    return null;
+}
+
+function decodeXmlEntities(text) {
+    return text
+        .replace(/&#x([0-9a-f]+);/gi, (entity, hex) => String.fromCodePoint(parseInt(hex, 16)))
+        .replace(/&#(\d+);/g, (entity, dec) => String.fromCodePoint(parseInt(dec, 10)))
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&quot;/g, '"')
+        .replace(/&apos;/g, "'")
+        .replace(/&amp;/g, '&');
+}
+
+function tidyText(text) {
+    return text
+        .replace(/\r\n?/g, '\n')
+        .replace(/[^\S\n]+/g, ' ')
+        .replace(/ *\n */g, '\n')
+        .replace(/\n{3,}/g, '\n\n')
+        .trim();
+}
+
+// === DOCX (a zip archive; the text is in word/document.xml) ===
+
+/**
+ * Uncompressed contents of one zip entry, or null if it isn't there
+ */
+function readZipEntry(buffer, entryName) {
+    // End of central directory record: signature, then offsets at fixed positions
+    const eocd = buffer.lastIndexOf(Buffer.from([0x50, 0x4b, 0x05, 0x06]));
+    if (eocd === -1) throw new Error('not a zip archive');
+
+    const entries = buffer.readUInt16LE(eocd + 10);
+    let offset = buffer.readUInt32LE(eocd + 16);
+
+    for (let i = 0; i < entries; i++) {
+        if (buffer.readUInt32LE(offset) !== 0x02014b50) throw new Error('corrupt zip central directory');
+        const method = buffer.readUInt16LE(offset + 10);
+        const compressedSize = buffer.readUInt32LE(offset + 20);
+        const nameLength = buffer.readUInt16LE(offset + 28);
+        const extraLength = buffer.readUInt16LE(offset + 30);
+        const commentLength = buffer.readUInt16LE(offset + 32);
+        const localOffset = buffer.readUInt32LE(offset + 42);
+        const name = buffer.slice(offset + 46, offset + 46 + nameLength).toString('utf8');
+
+        if (name === entryName) {
+            const localNameLength = buffer.readUInt16LE(localOffset + 26);
+            const localExtraLength = buffer.readUInt16LE(localOffset + 28);
+            const dataStart = localOffset + 30 + localNameLength + localExtraLength;
+            const data = buffer.slice(dataStart, dataStart + compressedSize);
+            if (method === 0) return data;
+            if (method === 8) return zlib.inflateRawSync(data, { maxOutputLength: MAX_INFLATED_BYTES });
+            throw new Error(`unsupported zip compression method ${method}`);
+        }
+        offset += 46 + nameLength + extraLength + commentLength;
+    }
+    return null;
+}
+
+function extractDocxText(buffer) {
+    const documentXml = readZipEntry(buffer, 'word/document.xml');
+    if (!documentXml) throw new Error('word/document.xml not found');
+
+    const xml = documentXml.toString('utf8')
+        .replace(/<w:tab\/>/g, '\t')
+        .replace(/<w:(?:br|cr)\b[^>]*\/>/g, '\n')
+        .replace(/<\/w:p>/g, '\n');
+    return decodeXmlEntities(xml.replace(/<[^>]+>/g, ''));
+}
+
+// === PDF (text-showing operators in the page content streams) ===
+
+function decodePdfLiteral(literal) {
+    return literal.replace(/\\([nrtbf()\\]|[0-7]{1,3}|\r?\n)/g, (match, escape) => {
+        if (/^[0-7]+$/.test(escape)) return String.fromCharCode(parseInt(escape, 8));
+        return { n: '\n', r: '\r', t: '\t', b: '', f: '', '(': '(', ')': ')', '\\': '\\' }[escape] ?? '';
+    });
+}
+
+function decodePdfHex(hex) {
+    const clean = hex.replace(/\s+/g, '');
+    const bytes = Buffer.from(clean.length % 2 ? `${clean}0` : clean, 'hex');
+    // Two-byte strings with a zero high byte are UTF-16-ish CIDs for ASCII text
+    if (bytes.length % 2 === 0 && bytes.length > 0 && bytes.every((byte, i) => i % 2 === 1 || byte === 0)) {
+        return bytes.swap16().toString('utf16le');
+    }
+    return bytes.toString('latin1');
+}
+
+/**
+ * Text from one content stream: strings shown by Tj, TJ, ' and ", with spaces
+ * for wide TJ kerning gaps and same-line moves, and line breaks for the rest
+ */
+function textFromContentStream(content) {
+    let text = '';
+    const tokens = /\((?:[^()\\]|\\[\s\S]|\((?:[^()\\]|\\[\s\S])*\))*\)|<[0-9a-fA-F\s]*>|-?\d*\.?\d+|[[\]]|\b(?:Tj|TJ|Td|TD|Tm|ET)\b|\bT\*|'|"/g;
+    let pending = [];
+    let operands = [];
+    let inArray = false;
+
+    for (const [token] of content.matchAll(tokens)) {
+        if (token.startsWith('(')) {
+            pending.push(decodePdfLiteral(token.slice(1, -1)));
+        } else if (token.startsWith('<')) {
+            pending.push(decodePdfHex(token.slice(1, -1)));
+        } else if (token === '[' || token === ']') {
+            inArray = token === '[';
+        } else if (/^-?[\d.]/.test(token)) {
+            // Inside TJ arrays a large negative adjustment is a word gap
+            if (inArray && parseFloat(token) < -200) pending.push(' ');
+            operands = [...operands.slice(-1), parseFloat(token)];
+            continue;
+        } else if (token === 'Tj' || token === 'TJ') {
+            text += pending.join('');
+            pending = [];
+        } else if (token === "'" || token === '"') {
+            text += `\n${pending.join('')}`;
+            pending = [];
+        } else if ((token === 'Td' || token === 'TD') && operands.length === 2 && operands[1] === 0) {
+            // Horizontal move on the same line
+            pending = [];
+            if (!/\s$/.test(text)) text += ' ';
+        } else {
+            // Td, TD, T*, Tm and ET start a new line (or end the text object)
+            pending = [];
+            if (!text.endsWith('\n')) text += '\n';
+        }
+        operands = [];
+    }
+    return text;
+}
+
+/**
+ * Drop lines that are mostly control characters (glyph ids from fonts without a
+ * usable encoding) and strip stray ones such as ligature codes
+ */
+function dropUnreadableLines(text) {
+    return text
+        .split('\n')
+        .filter(line => (line.match(/[\x00-\x08\x0b-\x1f]/g) || []).length <= Math.max(1, line.length / 10))
+        .map(line => line.replace(/[\x00-\x08\x0b-\x1f]/g, ''))
+        .join('\n');
+}
+
+function extractPdfText(buffer) {
+    const source = buffer.toString('latin1');
+    const streamKeyword = /(?<!end)stream\r?\n/g;
+    let text = '';
+    let match;
+
+    while ((match = streamKeyword.exec(source)) !== null) {
+        const dataStart = match.index + match[0].length;
+        const dataEnd = source.indexOf('endstream', dataStart);
+        if (dataEnd === -1) break;
+        // Never look for the next stream inside this one's (binary) data
+        streamKeyword.lastIndex = dataEnd + 'endstream'.length;
+
+        // The stream dictionary sits between "n 0 obj" and the stream keyword
+        const dictionary = source.slice(source.lastIndexOf('obj', match.index), match.index);
+        // Images, fonts and embedded files carry no page text
+        if (/\/Subtype\s*\/(?:Image|Type1C|CIDFontType0C|OpenType)|\/Length1|\/Type\s*\/(?:XRef|ObjStm|EmbeddedFile|Metadata)/.test(dictionary)) continue;
+
+        let data = buffer.slice(dataStart, dataEnd);
+        if (/\/FlateDecode/.test(dictionary)) {
+            try {
+                // Sync flush keeps whatever inflates from streams that are truncated or padded
+                data = zlib.inflateSync(data, { maxOutputLength: MAX_INFLATED_BYTES, finishFlush: zlib.constants.Z_SYNC_FLUSH });
+            } catch (error) {
+                continue;
+            }
+        } else if (/\/Filter/.test(dictionary)) {
+            continue;
+        }
+
+        const content = data.toString('latin1');
+        if (/\bBT\b/.test(content)) text += `${textFromContentStream(content)}\n`;
+    }
+    return text;
+}
+
+function extractText(kind, data) {
+    switch (kind) {
+        case 'text': return data.toString('utf8');
+        case 'pdf': return dropUnreadableLines(extractPdfText(data));
+        case 'docx': return extractDocxText(data);
+        default: return '';
+    }
+}
+
+/**
+ * Full tidied text of a text, PDF or DOCX file (no length limits); null for other types
+ */
+function extractFileText({ filename, contentType, data }) {
+    const kind = detectKind(filename, contentType);
+    return kind ? tidyText(extractText(kind, data)) : null;
+}
+
+/**
+ * Metadata and extracted text for a message's attachment files ({ filename, contentType, data }).
+ * Returns [{ name, content_type, size, extracted, text, truncated, skipped_reason }].
+ */
+function processAttachments(files) {
+    const maxBytes = getMaxExtractBytes();
+    let remainingChars = MAX_TEXT_CHARS_TOTAL;
+
+    return files.map(file => {
+        const attachment = {
+            name: file.filename || 'unnamed',
+            content_type: file.contentType || 'application/octet-stream',
+            size: file.data.length,
+            extracted: false,
+            text: '',
+            truncated: false,
+            skipped_reason: ''
+        };
+
+        const kind = detectKind(file.filename, file.contentType);
+        if (!kind) {
+            attachment.skipped_reason = 'unsupported_type';
+        } else if (file.data.length > maxBytes) {
+            attachment.skipped_reason = 'too_large';
+        } else if (remainingChars <= 0) {
+            attachment.skipped_reason = 'text_limit_reached';
+        } else {
+            try {
+                const text = extractFileText(file);
+                if (!text) {
+                    attachment.skipped_reason = 'no_text';
+                } else {
+                    const limit = Math.min(MAX_TEXT_CHARS_PER_FILE, remainingChars);
+                    attachment.extracted = true;
+                    attachment.text = text.substring(0, limit);
+                    attachment.truncated = text.length > limit;
+                    remainingChars -= attachment.text.length;
+                }
+            } catch (error) {
+                console.warn(`[ATTACHMENTS] Could not read ${attachment.name}: ${error.message}`);
+                attachment.skipped_reason = 'unreadable';
+            }
+        }
+        return attachment;
+    });
+}
+
+/**
+ * The first maxBytes bytes of a string's UTF-8 encoding, without a split character
+ */
+function truncateUtf8(text, maxBytes) {
+    if (Buffer.byteLength(text) <= maxBytes) return text;
+    return Buffer.from(text).subarray(0, Math.max(maxBytes, 0)).toString().replace(/\uFFFD+$/, '');
+}
+
+/**
+ * Attachments with their text cut to fit maxBytes of UTF-8 in total, before the
+ * message is queued for the agent or parked as unrouted
+ */
+function limitAttachmentText(attachments = [], maxBytes = MAX_JOB_TEXT_BYTES) {
+    let remainingBytes = maxBytes;
+
+    return attachments.map(attachment => {
+        if (!attachment.text) return attachment;
+        const text = truncateUtf8(attachment.text, remainingBytes);
+        remainingBytes -= Buffer.byteLength(text);
+        if (text === attachment.text) return attachment;
+        if (!text) return { ...attachment, extracted: false, text: '', truncated: false, skipped_reason: 'text_limit_reached' };
+        return { ...attachment, text, truncated: true };
+    });
+}
+
+/**
+ * What goes on the lead_message event: everything but the text
+ */
+function attachmentMetadata(attachments) {
+    return attachments.map(({ text, ...metadata }) => ({ ...metadata, text_chars: text.length }));
+}
+
+/**
+ * Attachment section of the agent's input: metadata for every file, text where we have it
+ */
+function formatAttachmentsForAgent(attachments = []) {
+    if (!attachments.length) return '';
+
+    const sections = attachments.map(attachment => {
+        const header = `--- ${attachment.name} (${attachment.content_type}, ${attachment.size} bytes) ---`;
+        if (!attachment.extracted) return `${header}\n[No text available: ${attachment.skipped_reason}]`;
+        return `${header}\n${attachment.text}${attachment.truncated ? '\n[Text truncated]' : ''}`;
+    });
+    return `ATTACHMENTS (${attachments.length}):\n${sections.join('\n\n')}`;
+}
+
+module.exports = {
+    processAttachments,
+    limitAttachmentText,
+    attachmentMetadata,
+    formatAttachmentsForAgent,
+    extractFileText,
+    detectKind,
+    extractPdfText,
+    extractDocxText,
+    MAX_TEXT_CHARS_PER_FILE,
+    MAX_TEXT_CHARS_TOTAL
+};
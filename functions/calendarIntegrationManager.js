@@ -1,4 +1,5 @@
 const crypto = require('crypto');
+const { addZonedDays, atZonedHour } = require('./timezone');
 
 /**
  * Calendar Integration Manager - Handles automatic meeting scheduling
@@ -361,18 +362,18 @@ Looking forward to our conversation!`;
         
         try {
             const now = new Date();
-            let meetingDate = new Date();
+            let meetingDate = now;
             
-            // Handle "tomorrow" references
+            // Handle "tomorrow" references (days counted in defaultTimezone)
             if (proposedTime.toLowerCase().includes('tomorrow')) {
-                meetingDate.setDate(now.getDate() + 1);
+                meetingDate = addZonedDays(now, 1, defaultTimezone);
             }
             // Handle specific day references (today, next week, etc.)
             else if (proposedTime.toLowerCase().includes('today')) {
                 // Keep today's date
             }
             else if (proposedTime.toLowerCase().includes('next week')) {
-                meetingDate.setDate(now.getDate() + 7);
+                meetingDate = addZonedDays(now, 7, defaultTimezone);
             }
             
             // Extract time (6pm, 6 PM, 18:00, etc.)
@@ -386,7 +387,7 @@ Looking forward to our conversation!`;
                 if (ampm === 'pm' && hour !== 12) hour += 12;
                 if (ampm === 'am' && hour === 12) hour = 0;
                 
-                meetingDate.setHours(hour, minute, 0, 0);
+                meetingDate = atZonedHour(meetingDate, hour, defaultTimezone, minute);
                 
                 return {
                     found: true,
@@ -399,7 +400,8 @@ Looking forward to our conversation!`;
                         day: 'numeric',
                         hour: 'numeric',
                         minute: '2-digit',
-                        timeZoneName: 'short'
+                        timeZoneName: 'short',
+                        timeZone: defaultTimezone
                     }),
                     needs_timezone_confirmation: true
                 };
@@ -0,0 +1,84 @@
+const crypto = require('crypto');
+const { getCollection } = require('./dataStore');
+
+/**
+ * One-winner claims on a key (claims)
+ * The store has no conditional insert, so a claim is a row each contender
+ * writes and then reads back (queries are strongly consistent). A contender
+ * wins only when its row is the only one for the key: of two contenders, the
+ * one that reads last always sees the other's row, so both can't win. When
+ * contenders see each other they both withdraw and try again after a short
+ * random wait, up to CLAIM_ATTEMPTS times.
+ *
+ * The winning row stays until release() or its expires_at, and anyone else
+ * claiming the key meanwhile is told who holds it. Keys name the version
+ * being acted on (a job attempt, a draft's updated_at), so a finished claim
+ * doesn't block the next one.
+ */
+
+const CLAIMS_COLLECTION = 'claims';
+const CLAIM_ATTEMPTS = 3;
+const MAX_RETRY_DELAY_MS = 250;
+
+const CLAIM_FIELDS = ['claim_key', 'claim_token', 'claimed_at', 'expires_at'];
+
+function claims() {
+    return getCollection(CLAIMS_COLLECTION);
+}
+
+function isLive(row, now) {
+    return !row.expires_at || new Date(row.expires_at).getTime() > now;
+}
+
+function wait(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+const claimStore = {
+    /**
+     * Try to take a key. expiresAt (ISO) lets the claim lapse on its own.
+     * Returns { claimed: true, claimToken } or { claimed: false, holder }.
+     */
+    async claim(key, { expiresAt = '' } = {}) {
+        for (let attempt = 1; attempt <= CLAIM_ATTEMPTS; attempt++) {
+            const now = Date.now();
+            const { rows: existing } = await claims().find({ claim_key: key }, { fields: CLAIM_FIELDS });
+            const holder = existing.find(row => isLive(row, now));
+            if (holder) return { claimed: false, holder };
+            if (existing.length) {
+                await claims().delete({ claim_key: key, expires_at: { lt: new Date(now).toISOString() } });
+            }
+
+            const claimToken = crypto.randomBytes(12).toString('hex');
+            await claims().insert([{
+                claim_key: key,
+                claim_token: claimToken,
+                claimed_at: new Date(now).toISOString(),
+                expires_at: expiresAt
+            }]);
+
+            const { rows } = await claims().find({ claim_key: key }, { fields: CLAIM_FIELDS });
+            const contenders = rows.filter(row => isLive(row, now));
+            if (contenders.length === 1 && contenders[0].claim_token === claimToken) {
+                await claims().delete({ expires_at: { gt: '', lt: new Date(now).toISOString() } });
+                return { claimed: true, claimToken };
+            }
+
+            await claims().delete({ claim_key: key, claim_token: claimToken });
+            if (attempt < CLAIM_ATTEMPTS) {
+                await wait(Math.floor(Math.random() * MAX_RETRY_DELAY_MS));
+            }
+        }
+        console.log(`[CLAIMS] Gave up claiming ${key} after ${CLAIM_ATTEMPTS} contended attempts`);
+        return { claimed: false, holder: null };
+    },
+
+    /**
+     * Give up a claim (only the holder's own row is removed)
+     */
+    async release(key, claimToken) {
+        await claims().delete({ claim_key: key, claim_token: claimToken });
+    }
+};
+
+module.exports = { claimStore, CLAIMS_COLLECTION };
@@ -1,85 +1,29 @@
-// Function to clear the Zilliz agent_settings collection
-import { MilvusClient } from "@zilliz/milvus2-sdk-node";
-
-const milvusClient = new MilvusClient({
-  address: process.env.ZILLIZ_ENDPOINT?.trim(),
-  token: process.env.ZILLIZ_TOKEN?.trim(),
-});
+// Function to clear one user's Email Response Settings (history is kept, so they can be restored)
+import { requireAuth } from './apiAuth.js';
+import { jsonResponse, normalizeUserCode, isValidUserCode, invalidUserCodeResponse } from './apiUtils.js';
+import { settingsStore } from './settingsStore.js';
 
 export const handler = async (event, context) => {
+  const unauthorized = requireAuth(event);
+  if (unauthorized) return unauthorized;
+
   try {
-    console.log('[CLEAR] Starting to clear agent_settings collection...');
-    
-    // Check if collection exists
-    const collections = await milvusClient.listCollections();
-    console.log('[CLEAR] Available collections:', collections.data);
-    
-    const hasAgentSettings = collections.data.some(col => col.name === 'agent_settings');
-    
-    if (!hasAgentSettings) {
-      console.log('[CLEAR] agent_settings collection does not exist');
-      return {
-        statusCode: 200,
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
-          success: true,
-          message: 'agent_settings collection does not exist - nothing to clear',
-          collections: collections.data
-        })
-      };
-    }
-    
-    console.log('[CLEAR] agent_settings collection found, proceeding to clear...');
-    
-    // Load the collection first
-    await milvusClient.loadCollection({ collection_name: 'agent_settings' });
-    console.log('[CLEAR] Collection loaded');
-    
-    // Get collection stats before clearing
-    const statsBefore = await milvusClient.getCollectionStatistics({ collection_name: 'agent_settings' });
-    console.log('[CLEAR] Stats before clearing:', statsBefore);
-    
-    // Try to drop and recreate the collection instead of deleting all entities
-    console.log('[CLEAR] Dropping collection...');
-    const dropResult = await milvusClient.dropCollection({ collection_name: 'agent_settings' });
-    console.log('[CLEAR] Collection dropped:', dropResult);
-    
-    return {
-      statusCode: 200,
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({
-        success: true,
-        message: 'agent_settings collection dropped successfully',
-        statsBefore: statsBefore,
-        dropResult: dropResult
-      }, null, 2)
-    };
-    
+    const userCode = normalizeUserCode(event.queryStringParameters?.user_code);
+    if (!isValidUserCode(userCode)) return invalidUserCodeResponse();
+
+    console.log(`[CLEAR] Clearing settings for user ${userCode}...`);
+    const deleted = await settingsStore.deleteSettings(userCode);
+
+    return jsonResponse(200, {
+      success: true,
+      message: deleted
+        ? `Settings for ${userCode} cleared (history version ${deleted.version}; roll back via /api/settings to restore)`
+        : `No settings saved for ${userCode} - nothing to clear`,
+      version: deleted ? deleted.version : null
+    });
+
   } catch (error) {
-    console.error('[CLEAR] Error clearing collection:', error);
-    
-    // If the error is about the collection not existing or being empty, that's fine
-    if (error.message?.includes('collection not found') || 
-        error.message?.includes('collection is empty') ||
-        error.message?.includes('no such partition')) {
-      return {
-        statusCode: 200,
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
-          success: true,
-          message: 'Collection was already empty or does not exist',
-          error: error.message
-        })
-      };
-    }
-    
-    return {
-      statusCode: 500,
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ 
-        error: error.message,
-        stack: error.stack 
-      })
-    };
+    console.error('[CLEAR] Error clearing settings:', error);
+    return jsonResponse(500, { success: false, error: error.message });
   }
 }
@@ -0,0 +1,118 @@
+const { ipInAnyCidr } = require('./ipUtils');
+
+/**
+ * Security-scanner detection for click tracking
+ * Mail gateways (Defender Safe Links, Mimecast, Proofpoint, Barracuda) follow
+ * every link before delivery. Those clicks are stored with
+ * click_classification 'scanner' so engagement scoring can skip them.
+ */
+
+const SCANNER_SIGNATURES = [
+    {
+        source: 'microsoft_safe_links',
+        userAgent: null,
+        cidrs: ['40.92.0.0/15', '40.94.0.0/16', '40.107.0.0/16', '52.100.0.0/14', '104.47.0.0/17']
+    },
+    {
+        source: 'mimecast',
+        userAgent: /mimecast/i,
+        cidrs: ['205.139.110.0/24', '207.211.30.0/24', '207.211.31.0/25', '170.10.128.0/24', '170.10.129.0/24']
+    },
+    {
+        source: 'proofpoint',
+        userAgent: /proofpoint|pphosted/i,
+        cidrs: ['67.231.144.0/20', '148.163.128.0/19']
+    },
+    {
+        source: 'barracuda',
+        userAgent: /barracuda/i,
+        cidrs: ['64.235.144.0/20']
+    }
+];
+
+const SCANNER_USER_AGENT = /bot\b|bot\/|crawler|spider|scanner|headless|phantomjs|python-requests|go-http-client|curl\/|wget\/|okhttp|java\/|libwww|httpclient/i;
+
+// Clicks this soon after sending can't be a person reading the email
+const DEFAULT_SEND_WINDOW_SECONDS = 30;
+
+// This many distinct links clicked within the burst window is a scanner walking the email
+const DEFAULT_BURST_LINKS = 3;
+const DEFAULT_BURST_WINDOW_SECONDS = 10;
+
+function envInt(name, fallback) {
+    const value = parseInt(process.env[name], 10);
+    return Number.isFinite(value) && value > 0 ? value : fallback;
+}
+
+function matchScanner(userAgent, ipAddress) {
+    for (const scanner of SCANNER_SIGNATURES) {
+        if (scanner.userAgent && scanner.userAgent.test(userAgent)) {
+            return { source: scanner.source, reason: 'user_agent' };
+        }
+        if (ipAddress && ipInAnyCidr(ipAddress, scanner.cidrs)) {
+            return { source: scanner.source, reason: 'ip_range' };
+        }
+    }
+    return null;
+}
+
+/**
+ * Earlier clicks (rows with timestamp and clicked_url) that fall in the same
+ * burst as a click at clickedAt. Returns [] unless the burst threshold is met.
+ */
+function findClickBurst(recentClicks, clickedUrl, clickedAt) {
+    const windowMs = envInt('CLICK_BURST_WINDOW_SECONDS', DEFAULT_BURST_WINDOW_SECONDS) * 1000;
+    const threshold = envInt('CLICK_BURST_LINKS', DEFAULT_BURST_LINKS);
+    const clickTime = new Date(clickedAt).getTime();
+
+    const inWindow = (recentClicks || []).filter(click => {
+        const time = new Date(click.timestamp).getTime();
+        return Math.abs(clickTime - time) <= windowMs;
+    });
+
+    const distinctUrls = new Set([clickedUrl, ...inWindow.map(click => click.clicked_url)]);
+    return distinctUrls.size >= threshold ? inWindow : [];
+}
+
+/**
+ * Classify a single click.
+ * Returns { click_classification, reason, scanner_source, burst }.
+ */
+function classifyClick({ userAgent, ipAddress, clickedUrl, sentAt, clickedAt = new Date(), recentClicks = [] } = {}) {
+    const ua = (userAgent || '').trim();
+    const result = (classification, reason, source = null, burst = []) => ({
+        click_classification: classification,
+        reason,
+        scanner_source: source,
+        burst
+    });
+
+    if (!ua || ua === 'Unknown') {
+        return result('scanner', 'missing_user_agent');
+    }
+
+    const scanner = matchScanner(ua, ipAddress);
+    if (scanner) {
+        return result('scanner', scanner.reason, scanner.source);
+    }
+
+    if (SCANNER_USER_AGENT.test(ua)) {
+        return result('scanner', 'scanner_user_agent');
+    }
+
+    if (sentAt) {
+        const secondsSinceSend = (new Date(clickedAt).getTime() - new Date(sentAt).getTime()) / 1000;
+        if (secondsSinceSend >= 0 && secondsSinceSend < envInt('CLICK_SEND_WINDOW_SECONDS', DEFAULT_SEND_WINDOW_SECONDS)) {
+            return result('scanner', 'clicked_immediately_after_send');
+        }
+    }
+
+    const burst = findClickBurst(recentClicks, clickedUrl, clickedAt);
+    if (burst.length > 0) {
+        return result('scanner', 'click_burst', null, burst);
+    }
+
+    return result('human', 'no_scanner_signals');
+}
+
+module.exports = { classifyClick };
@@ -0,0 +1,105 @@
+// Conversations API for the tracking dashboard - threads by tracking id and their timelines
+import { requireAuth } from './apiAuth.js';
+import { jsonResponse, normalizeUserCode, isValidUserCode, invalidUserCodeResponse } from './apiUtils.js';
+import { extractUserIdFromTrackingId } from './trackingUtils.js';
+import { eventStore, eventCriteria, mergeOpenEvents } from './eventStore.js';
+
+const TIMELINE_FIELDS = [
+  'tracking_id', 'event_type', 'timestamp', 'user_agent', 'email_address', 'recipient',
+  'processed', 'clicked_url', 'open_count', 'human_open_count', 'open_classification',
+  'click_classification', 'last_opened_at', 'device_type', 'mail_client', 'geo_country', 'event_content',
+  'attachments'
+];
+
+// Agent-written events keep their text in user_agent (see store_event in mailgun-webhook);
+// delivery events from mailgun-events carry it in event_content
+function eventContent(row) {
+  return row.processed ? row.user_agent : (row.event_content || '');
+}
+
+function toTimelineEntry(row) {
+  const entry = {
+    event_type: row.event_type,
+    timestamp: row.timestamp,
+    email_address: row.email_address || '',
+    recipient: row.recipient || '',
+    content: eventContent(row)
+  };
+
+  if (row.event_type === 'email_open') {
+    entry.open_count = row.open_count ?? 1;
+    entry.human_open_count = row.human_open_count ?? row.open_count ?? 1;
+    entry.open_classification = row.open_classification || 'human';
+    entry.last_opened_at = row.last_opened_at || row.timestamp;
+  }
+  if (row.event_type === 'link_click') {
+    entry.clicked_url = row.clicked_url;
+    entry.click_classification = row.click_classification || 'human';
+  }
+  if (row.device_type) {
+    entry.device_type = row.device_type;
+    entry.mail_client = row.mail_client;
+    entry.geo_country = row.geo_country;
+  }
+  return entry;
+}
+
+function summarizeConversations(rows) {
+  const conversations = {};
+  for (const row of rows) {
+    const conversation = conversations[row.tracking_id] = conversations[row.tracking_id] || {
+      tracking_id: row.tracking_id,
+      user_code: extractUserIdFromTrackingId(row.tracking_id),
+      contact: '',
+      first_activity: row.timestamp,
+      last_activity: row.timestamp,
+      event_counts: {}
+    };
+
+    conversation.event_counts[row.event_type] = (conversation.event_counts[row.event_type] || 0) + 1;
+    if (row.timestamp < conversation.first_activity) conversation.first_activity = row.timestamp;
+    if (row.timestamp > conversation.last_activity) conversation.last_activity = row.timestamp;
+    if (row.event_type === 'lead_message' && row.email_address) conversation.contact = row.email_address;
+    if (row.event_type === 'ai_reply' && row.recipient && !conversation.contact) conversation.contact = row.recipient;
+  }
+
+  return Object.values(conversations).sort((a, b) => (b.last_activity || '').localeCompare(a.last_activity || ''));
+}
+
+export const handler = async (event, context) => {
+  const unauthorized = requireAuth(event);
+  if (unauthorized) return unauthorized;
+
+  try {
+    const params = event.queryStringParameters || {};
+    const trackingId = params.tracking_id;
+    const userCode = normalizeUserCode(params.user_code);
+
+    if (userCode && !isValidUserCode(userCode)) return invalidUserCodeResponse();
+
+    // Single thread timeline
+    if (trackingId) {
+      const { rows } = await eventStore.findEvents(eventCriteria({ trackingId }), { fields: TIMELINE_FIELDS });
+
+      const timeline = mergeOpenEvents(rows)
+        .sort((a, b) => new Date(a.timestamp).getTime() - new Date(b.timestamp).getTime())
+        .map(toTimelineEntry);
+
+      console.log(`[CONVERSATIONS] Timeline for ${trackingId}: ${timeline.length} events`);
+      return jsonResponse(200, { success: true, tracking_id: trackingId, timeline });
+    }
+
+    // Conversation list, optionally for one user
+    const { rows, truncated } = await eventStore.findEvents(eventCriteria({ userCode }), {
+      fields: ['tracking_id', 'event_type', 'timestamp', 'email_address', 'recipient']
+    });
+
+    const conversations = summarizeConversations(mergeOpenEvents(rows));
+    console.log(`[CONVERSATIONS] Listed ${conversations.length} conversations`);
+    return jsonResponse(200, { success: true, truncated, conversations });
+
+  } catch (error) {
+    console.error('[CONVERSATIONS] Error loading conversations:', error);
+    return jsonResponse(500, { success: false, error: error.message });
+  }
+};
@@ -0,0 +1,455 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Storage backends for ExaMark functions
+ * Every function reads and writes records through getCollection(name), so
+ * the database behind them is configuration:
+ *
+ *   DATA_STORE_BACKEND=zilliz  (default) Zilliz/Milvus via ZILLIZ_ENDPOINT + ZILLIZ_TOKEN
+ *   DATA_STORE_BACKEND=memory  in-process only, for tests
+ *   DATA_STORE_BACKEND=file    JSON file at DATA_STORE_FILE, for running locally with no Zilliz account
+ *
+ * Queries take a criteria object instead of a Milvus expression:
+ *   { tracking_id: 'x' }                   equals
+ *   { event_type: ['a', 'b'] }             in
+ *   { tracking_id: { prefix: 'tracking-' } }
+ *   { timestamp: { gte, gt, lte, lt, ne } }
+ *
+ * Rows come back with the store's `id`. upsert(rows) replaces rows by that id
+ * in a single write, so an update can't be lost halfway the way a delete
+ * followed by an insert can.
+ *
+ * Plain collections carry a 2-d dummy vector because Zilliz requires one.
+ * getVectorCollection(name, { dim }) gives a collection with a real embedding
+ * field that can also search(vector, ...) by cosine similarity.
+ */
+
+const PAGE_SIZE = 1000;
+// Zilliz caps offset + limit for a single query
+const MAX_QUERY_WINDOW = 16384;
+const VECTOR_FIELD = 'dummy_vector';
+const VECTOR_DIM = 2;
+const EMBEDDING_FIELD = 'embedding';
+const DUMMY_VECTOR = { field: VECTOR_FIELD, dim: VECTOR_DIM, metric: 'L2' };
+
+function escapeExprValue(value) {
+    return String(value).replace(/(["\\])/g, '\\$1');
+}
+
+function exprLiteral(value) {
+    if (typeof value === 'number' || typeof value === 'boolean') return String(value);
+    return `"${escapeExprValue(value)}"`;
+}
+
+/**
+ * Compile a criteria object to a Milvus boolean expression
+ */
+function criteriaToExpr(criteria = {}) {
+    const clauses = [];
+    for (const [field, condition] of Object.entries(criteria)) {
+        if (condition === undefined) continue;
+
+        if (Array.isArray(condition)) {
+            clauses.push(condition.length
+                ? `${field} in [${condition.map(exprLiteral).join(', ')}]`
+                : 'false');
+        } else if (condition !== null && typeof condition === 'object') {
+            if (condition.prefix !== undefined) clauses.push(`${field} like "${escapeExprValue(condition.prefix)}%"`);
+            if (condition.gte !== undefined) clauses.push(`${field} >= ${exprLiteral(condition.gte)}`);
+            if (condition.gt !== undefined) clauses.push(`${field} > ${exprLiteral(condition.gt)}`);
+            if (condition.lte !== undefined) clauses.push(`${field} <= ${exprLiteral(condition.lte)}`);
+            if (condition.lt !== undefined) clauses.push(`${field} < ${exprLiteral(condition.lt)}`);
+            if (condition.ne !== undefined) clauses.push(`${field} != ${exprLiteral(condition.ne)}`);
+        } else {
+            clauses.push(`${field} == ${exprLiteral(condition)}`);
+        }
+    }
+    return clauses.join(' && ');
+}
+
+/**
+ * Evaluate a criteria object against a plain row (local backends)
+ */
+function matchesCriteria(row, criteria = {}) {
+    return Object.entries(criteria).every(([field, condition]) => {
+        if (condition === undefined) return true;
+        const value = row[field];
+
+        if (Array.isArray(condition)) return condition.includes(value);
+        if (condition !== null && typeof condition === 'object') {
+            if (value === undefined || value === null) return false;
+            if (condition.prefix !== undefined && !String(value).startsWith(condition.prefix)) return false;
+            if (condition.gte !== undefined && !(value >= condition.gte)) return false;
+            if (condition.gt !== undefined && !(value > condition.gt)) return false;
+            if (condition.lte !== undefined && !(value <= condition.lte)) return false;
+            if (condition.lt !== undefined && !(value < condition.lt)) return false;
+            if (condition.ne !== undefined && value === condition.ne) return false;
+            return true;
+        }
+        return value === condition;
+    });
+}
+
+function pickFields(row, fields) {
+    if (!fields) return { ...row };
+    return Object.fromEntries(['id', ...fields].filter(field => field in row).map(field => [field, row[field]]));
+}
+
+function cosineSimilarity(a, b) {
+    let dot = 0;
+    let normA = 0;
+    let normB = 0;
+    for (let i = 0; i < a.length; i++) {
+        dot += a[i] * b[i];
+        normA += a[i] * a[i];
+        normB += b[i] * b[i];
+    }
+    return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+}
+
+// === ZILLIZ BACKEND ===
+
+let sharedMilvusClient = null;
+
+function getMilvusClient() {
+    if (!sharedMilvusClient) {
+        const { MilvusClient } = require('@zilliz/milvus2-sdk-node');
+        sharedMilvusClient = new MilvusClient({
+            address: process.env.ZILLIZ_ENDPOINT?.trim(),
+            ssl: true,
+            token: process.env.ZILLIZ_TOKEN?.trim(),
+        });
+    }
+    return sharedMilvusClient;
+}
+
+class ZillizCollection {
+    constructor(name, vector = DUMMY_VECTOR, client = getMilvusClient()) {
+        this.name = name;
+        this.vector = vector;
+        this.client = client;
+        this.ready = null;
+        this.primaryField = null;
+    }
+
+    isConfigured() {
+        return !!(process.env.ZILLIZ_ENDPOINT && process.env.ZILLIZ_TOKEN);
+    }
+
+    async ping() {
+        try {
+            await this.client.listCollections();
+            return true;
+        } catch (error) {
+            console.error('[STORE] Zilliz connection failed:', error.message);
+            return false;
+        }
+    }
+
+    /**
+     * Create the collection on first use (auto id, dummy or embedding vector, dynamic fields) and load it
+     */
+    async ensureReady() {
+        if (!this.ready) {
+            this.ready = (async () => {
+                const exists = await this.client.hasCollection({ collection_name: this.name });
+                if (!exists.value) {
+                    const { DataType } = require('@zilliz/milvus2-sdk-node');
+                    console.log(`[STORE] Creating collection ${this.name}`);
+                    await this.client.createCollection({
+                        collection_name: this.name,
+                        enable_dynamic_field: true,
+                        fields: [
+                            { name: 'id', data_type: DataType.Int64, is_primary_key: true, autoID: true },
+                            { name: this.vector.field, data_type: DataType.FloatVector, dim: this.vector.dim }
+                        ]
+                    });
+                    await this.client.createIndex({
+                        collection_name: this.name,
+                        field_name: this.vector.field,
+                        index_type: 'AUTOINDEX',
+                        metric_type: this.vector.metric
+                    });
+                }
+                await this.client.loadCollection({ collection_name: this.name });
+
+                const description = await this.client.describeCollection({ collection_name: this.name });
+                const primary = description.schema.fields.find(field => field.is_primary_key);
+                this.primaryField = { name: primary.name, isString: primary.data_type === 'VarChar' };
+            })().catch(error => {
+                this.ready = null;
+                throw error;
+            });
+        }
+        return this.ready;
+    }
+
+    async insert(rows) {
+        if (!rows.length) return { inserted: 0 };
+        await this.ensureReady();
+        await this.client.insert({
+            collection_name: this.name,
+            data: rows.map(row => ({ [this.vector.field]: new Array(this.vector.dim).fill(0), ...row }))
+        });
+        return { inserted: rows.length };
+    }
+
+    async upsert(rows) {
+        if (!rows.length) return { upserted: 0 };
+        await this.ensureReady();
+        await this.client.upsert({
+            collection_name: this.name,
+            data: rows.map(row => ({ [this.vector.field]: new Array(this.vector.dim).fill(0), ...row }))
+        });
+        return { upserted: rows.length };
+    }
+
+    /**
+     * Every row matching the criteria, paged through the query window.
+     * Returns { rows, truncated }.
+     */
+    async find(criteria, { fields, limit = MAX_QUERY_WINDOW } = {}) {
+        await this.ensureReady();
+        const filter = criteriaToExpr(criteria) || `${this.primaryField.name} != ${this.primaryField.isString ? '""' : '-1'}`;
+        const cap = Math.min(limit, MAX_QUERY_WINDOW);
+        const rows = [];
+        let offset = 0;
+        while (offset < cap) {
+            const pageLimit = Math.min(PAGE_SIZE, cap - offset);
+            const result = await this.client.query({
+                collection_name: this.name,
+                filter,
+                output_fields: fields || ['*'],
+                offset,
+                limit: pageLimit,
+                consistency_level: 'Strong'
+            });
+            const page = result.data || [];
+            rows.push(...page);
+            if (page.length < pageLimit) {
+                return { rows, truncated: false };
+            }
+            offset += page.length;
+        }
+        return { rows, truncated: true };
+    }
+
+    /**
+     * One keyset page in primary key order, for reads larger than the query window.
+     * Pass nextAfter back as `after`; it is null on the last page.
+     */
+    async page(criteria, { fields, after = null, limit = PAGE_SIZE } = {}) {
+        await this.ensureReady();
+        const primary = this.primaryField;
+        const clauses = [criteriaToExpr(criteria)];
+        if (after !== null && after !== undefined) {
+            clauses.push(`${primary.name} > ${primary.isString ? exprLiteral(after) : String(BigInt(after))}`);
+        }
+        const filter = clauses.filter(Boolean).map(clause => `(${clause})`).join(' && ')
+            || `${primary.name} != ${primary.isString ? '""' : '-1'}`;
+
+        const result = await this.client.query({
+            collection_name: this.name,
+            filter,
+            output_fields: fields ? [...new Set([primary.name, ...fields])] : ['*'],
+            limit,
+            consistency_level: 'Strong'
+        });
+
+        // Zilliz returns limited queries in primary key order; sort anyway so the cursor is safe
+        const rows = (result.data || []).sort((a, b) => {
+            if (primary.isString) return String(a[primary.name]).localeCompare(String(b[primary.name]));
+            const diff = BigInt(a[primary.name]) - BigInt(b[primary.name]);
+            return diff < 0n ? -1 : diff > 0n ? 1 : 0;
+        });
+
+        const nextAfter = rows.length === limit ? String(rows[rows.length - 1][primary.name]) : null;
+        return { rows, nextAfter };
+    }
+
+    async delete(criteria) {
+        const filter = criteriaToExpr(criteria);
+        if (!filter) throw new Error('Refusing to delete without criteria');
+        await this.ensureReady();
+        await this.client.delete({ collection_name: this.name, filter });
+    }
+
+    /**
+     * Nearest rows to a vector among those matching the criteria, best first,
+     * each with a similarity score
+     */
+    async search(vector, { criteria = {}, fields, limit = 5 } = {}) {
+        await this.ensureReady();
+        const result = await this.client.search({
+            collection_name: this.name,
+            anns_field: this.vector.field,
+            data: vector,
+            filter: criteriaToExpr(criteria) || undefined,
+            output_fields: fields || ['*'],
+            limit,
+            metric_type: this.vector.metric,
+            consistency_level: 'Strong'
+        });
+        return (result.results || []).map(({ score, ...row }) => ({ ...row, score }));
+    }
+}
+
+// === LOCAL BACKENDS ===
+
+const memoryTables = new Map();
+
+class LocalCollection {
+    constructor(name, filePath = null) {
+        this.name = name;
+        this.filePath = filePath;
+    }
+
+    isConfigured() {
+        return true;
+    }
+
+    async ping() {
+        return true;
+    }
+
+    load() {
+        if (!this.filePath) {
+            if (!memoryTables.has(this.name)) memoryTables.set(this.name, { nextId: 1, rows: [] });
+            return memoryTables.get(this.name);
+        }
+        let data = {};
+        if (fs.existsSync(this.filePath)) {
+            data = JSON.parse(fs.readFileSync(this.filePath, 'utf8') || '{}');
+        }
+        return data[this.name] || { nextId: 1, rows: [] };
+    }
+
+    save(table) {
+        if (!this.filePath) return;
+        let data = {};
+        if (fs.existsSync(this.filePath)) {
+            data = JSON.parse(fs.readFileSync(this.filePath, 'utf8') || '{}');
+        }
+        data[this.name] = table;
+        fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+        fs.writeFileSync(this.filePath, JSON.stringify(data, null, 2));
+    }
+
+    async insert(rows) {
+        const table = this.load();
+        for (const row of rows) {
+            table.rows.push({ ...row, id: table.nextId++ });
+        }
+        this.save(table);
+        return { inserted: rows.length };
+    }
+
+    async upsert(rows) {
+        const table = this.load();
+        for (const row of rows) {
+            const index = table.rows.findIndex(existing => existing.id === row.id);
+            if (index === -1) {
+                table.rows.push({ ...row, id: table.nextId++ });
+            } else {
+                table.rows[index] = { ...row };
+            }
+        }
+        this.save(table);
+        return { upserted: rows.length };
+    }
+
+    async find(criteria, { fields, limit = Infinity } = {}) {
+        const matches = this.load().rows.filter(row => matchesCriteria(row, criteria));
+        return {
+            rows: matches.slice(0, limit).map(row => pickFields(row, fields)),
+            truncated: matches.length > limit
+        };
+    }
+
+    async page(criteria, { fields, after = null, limit = PAGE_SIZE } = {}) {
+        const afterId = after === null || after === undefined ? 0 : Number(after);
+        const rows = this.load().rows
+            .filter(row => row.id > afterId && matchesCriteria(row, criteria))
+            .slice(0, limit)
+            .map(row => pickFields(row, fields));
+        return { rows, nextAfter: rows.length === limit ? String(rows[rows.length - 1].id) : null };
+    }
+
+    async delete(criteria) {
+        if (!Object.keys(criteria || {}).length) throw new Error('Refusing to delete without criteria');
+        const table = this.load();
+        table.rows = table.rows.filter(row => !matchesCriteria(row, criteria));
+        this.save(table);
+    }
+
+    /**
+     * Brute-force cosine similarity over the embedding field
+     */
+    async search(vector, { criteria = {}, fields, limit = 5 } = {}) {
+        return this.load().rows
+            .filter(row => Array.isArray(row[EMBEDDING_FIELD]) && matchesCriteria(row, criteria))
+            .map(row => ({ ...pickFields(row, fields), score: cosineSimilarity(vector, row[EMBEDDING_FIELD]) }))
+            .sort((a, b) => b.score - a.score)
+            .slice(0, limit);
+    }
+}
+
+// === FACTORY ===
+
+function getBackend() {
+    return (process.env.DATA_STORE_BACKEND || 'zilliz').trim().toLowerCase();
+}
+
+const collections = new Map();
+
+/**
+ * The configured backend's handle for a collection (cached per function instance)
+ */
+function getCollection(name) {
+    const backend = getBackend();
+    const key = `${backend}:${name}`;
+    if (!collections.has(key)) {
+        let collection;
+        if (backend === 'memory') {
+            collection = new LocalCollection(name);
+        } else if (backend === 'file') {
+            collection = new LocalCollection(name, path.resolve(process.env.DATA_STORE_FILE || '.data/examark-store.json'));
+        } else if (backend === 'zilliz') {
+            collection = new ZillizCollection(name);
+        } else {
+            throw new Error(`Unknown DATA_STORE_BACKEND: ${backend}`);
+        }
+        collections.set(key, collection);
+    }
+    return collections.get(key);
+}
+
+/**
+ * A collection whose rows carry a real `embedding` vector of the given dimension,
+ * searchable by cosine similarity
+ */
+function getVectorCollection(name, { dim }) {
+    const backend = getBackend();
+    const key = `${backend}:${name}:${dim}`;
+    if (!collections.has(key)) {
+        let collection;
+        if (backend === 'memory') {
+            collection = new LocalCollection(name);
+        } else if (backend === 'file') {
+            collection = new LocalCollection(name, path.resolve(process.env.DATA_STORE_FILE || '.data/examark-store.json'));
+        } else if (backend === 'zilliz') {
+            collection = new ZillizCollection(name, { field: EMBEDDING_FIELD, dim, metric: 'COSINE' });
+        } else {
+            throw new Error(`Unknown DATA_STORE_BACKEND: ${backend}`);
+        }
+        collections.set(key, collection);
+    }
+    return collections.get(key);
+}
+
+module.exports = {
+    getCollection,
+    getVectorCollection,
+    EMBEDDING_FIELD
+};
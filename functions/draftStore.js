@@ -0,0 +1,142 @@
+const crypto = require('crypto');
+const { getCollection } = require('./dataStore');
+const { eventStore } = require('./eventStore');
+const { REPLY_ADDRESS } = require('./mailgunSender');
+
+/**
+ * Reply drafts awaiting human approval (email_drafts)
+ * With require_reply_approval on in a user's Email Response Settings, the
+ * agent's send_email stores the reply here instead of sending it:
+ *
+ *   pending -> sending -> sent    (approved and sent with the original threading headers)
+ *                      -> failed  (Mailgun refused it; can be edited and approved again)
+ *           -> rejected
+ *
+ * A draft left in sending for DRAFT_SENDING_TIMEOUT_SECONDS (the approving
+ * function died mid-send) is stale: the drafts API settles it as sent when its
+ * ai_reply event was logged, otherwise as failed so it can be approved again.
+ *
+ * Every step is also written to email_tracking_events as draft_* events.
+ * Updates replace the draft's row in one write (upsert); the drafts API claims
+ * the version it read before changing it, so only one request acts on it.
+ */
+
+const DRAFTS_COLLECTION = 'email_drafts';
+
+// Synchronous functions time out well within this
+const DEFAULT_SENDING_TIMEOUT_SECONDS = 5 * 60;
+
+const DRAFT_FIELDS = [
+    'draft_id', 'user_id', 'tracking_id', 'status', 'to', 'subject', 'body', 'in_reply_to', 'references',
+    'created_at', 'updated_at', 'decided_at', 'reject_reason', 'message_id', 'error', 'edited', 'sending_started_at'
+];
+
+// Fields a reviewer may change before approving
+const EDITABLE_FIELDS = ['to', 'subject', 'body'];
+
+function drafts() {
+    return getCollection(DRAFTS_COLLECTION);
+}
+
+function stripId({ id, ...draft }) {
+    return draft;
+}
+
+function getSendingTimeoutSeconds() {
+    const configured = parseInt(process.env.DRAFT_SENDING_TIMEOUT_SECONDS, 10);
+    return Number.isFinite(configured) && configured > 0 ? configured : DEFAULT_SENDING_TIMEOUT_SECONDS;
+}
+
+/**
+ * A draft stuck in sending past the timeout
+ */
+function isStaleSending(draft, now = Date.now()) {
+    if (draft.status !== 'sending') return false;
+    const startedAt = new Date(draft.sending_started_at || draft.updated_at).getTime();
+    return !(now - startedAt < getSendingTimeoutSeconds() * 1000);
+}
+
+const draftStore = {
+    async createDraft({ userId, trackingId, to, subject, body, inReplyTo = '', references = '' }) {
+        const now = new Date().toISOString();
+        const draft = {
+            draft_id: `draft-${crypto.randomBytes(12).toString('hex')}`,
+            user_id: userId,
+            tracking_id: trackingId,
+            status: 'pending',
+            to,
+            subject,
+            body,
+            in_reply_to: inReplyTo || '',
+            references: references || '',
+            created_at: now,
+            updated_at: now,
+            decided_at: '',
+            reject_reason: '',
+            message_id: '',
+            error: '',
+            edited: false,
+            sending_started_at: ''
+        };
+        await drafts().insert([draft]);
+        return draft;
+    },
+
+    async getDraft(draftId) {
+        const { rows } = await drafts().find({ draft_id: draftId }, { fields: DRAFT_FIELDS, limit: 1 });
+        return rows[0] ? stripId(rows[0]) : null;
+    },
+
+    /**
+     * A user's drafts, newest first, optionally only those in one status
+     */
+    async listDrafts(userId, status) {
+        const { rows, truncated } = await drafts().find(
+            { user_id: userId, status: status || undefined },
+            { fields: DRAFT_FIELDS }
+        );
+        return {
+            drafts: rows.map(stripId).sort((a, b) => (b.created_at || '').localeCompare(a.created_at || '')),
+            truncated
+        };
+    },
+
+    /**
+     * The ai_reply event logged when a draft was sent, or null
+     */
+    async findSentEvent(draft) {
+        const { rows } = await eventStore.findEvents(
+            { draft_id: draft.draft_id, event_type: 'ai_reply' },
+            { fields: ['timestamp', 'message_id'], limit: 1 }
+        );
+        return rows[0] || null;
+    },
+
+    async updateDraft(draft, changes) {
+        const updated = { ...draft, ...changes, updated_at: new Date().toISOString() };
+        const { rows } = await drafts().find({ draft_id: draft.draft_id }, { fields: ['draft_id'], limit: 1 });
+        if (!rows.length) throw new Error(`Draft ${draft.draft_id} no longer exists`);
+        await drafts().upsert([{ ...updated, id: rows[0].id }]);
+        return updated;
+    },
+
+    /**
+     * Log a lifecycle step on the draft's conversation (same shape as the agent's store_event)
+     */
+    async recordDraftEvent(draft, eventType, content, extra = {}) {
+        await eventStore.insertEvents([{
+            tracking_id: draft.tracking_id,
+            event_type: eventType,
+            timestamp: new Date().toISOString(),
+            user_agent: content.substring(0, 500),
+            email_address: REPLY_ADDRESS,
+            recipient: draft.to,
+            ip_address: '127.0.0.1',
+            processed: true,
+            draft_id: draft.draft_id,
+            ...extra
+        }]);
+    }
+};
+
+module.exports = { draftStore, isStaleSending, DRAFTS_COLLECTION, EDITABLE_FIELDS };
@@ -0,0 +1,195 @@
+// Reply drafts API - list, edit, approve and reject replies waiting for human approval
+import { requireAuth } from './apiAuth.js';
+import { jsonResponse, readJsonBody, normalizeUserCode, isValidUserCode, invalidUserCodeResponse } from './apiUtils.js';
+import { draftStore, isStaleSending, EDITABLE_FIELDS } from './draftStore.js';
+import { claimStore } from './claimStore.js';
+import { suppressionStore } from './suppressionStore.js';
+import { sendReply } from './mailgunSender.js';
+import { threadFields } from './threading.js';
+
+// Every change claims the version of the draft it read (draft_id + updated_at), so two
+// requests acting on the same draft at once - a double-clicked approve - can't both go ahead
+async function claimDraft(draft) {
+  const key = `draft:${draft.draft_id}:${draft.updated_at}`;
+  const { claimed, claimToken } = await claimStore.claim(key);
+  if (!claimed) return null;
+
+  const current = await draftStore.getDraft(draft.draft_id);
+  if (current?.updated_at === draft.updated_at) return { draft: current, key, claimToken };
+  await claimStore.release(key, claimToken);
+  return null;
+}
+
+// A claim on a version nothing was written over is given back, so the draft can still be acted on
+async function releaseIfUnchanged(claim) {
+  const current = await draftStore.getDraft(claim.draft.draft_id);
+  if (current?.updated_at === claim.draft.updated_at) {
+    await claimStore.release(claim.key, claim.claimToken);
+  }
+}
+
+async function editDraft(draft, body) {
+  const changes = {};
+  for (const field of EDITABLE_FIELDS) {
+    if (body[field] !== undefined) {
+      if (typeof body[field] !== 'string' || !body[field].trim()) {
+        return jsonResponse(400, { success: false, error: `${field} must be a non-empty string` });
+      }
+      changes[field] = body[field];
+    }
+  }
+  if (!Object.keys(changes).length) {
+    return jsonResponse(400, { success: false, error: `Nothing to edit (editable: ${EDITABLE_FIELDS.join(', ')})` });
+  }
+
+  const updated = await draftStore.updateDraft(draft, { ...changes, edited: true });
+  await draftStore.recordDraftEvent(updated, 'draft_edited', `Draft edited (${Object.keys(changes).join(', ')})\n\nSubject: ${updated.subject}\n\nTo: ${updated.to}\n\n${updated.body}`);
+  console.log(`[DRAFTS] Edited ${draft.draft_id}: ${Object.keys(changes).join(', ')}`);
+  return jsonResponse(200, { success: true, draft: updated });
+}
+
+// A send that never finished (the function died mid-way): it went out if its ai_reply was logged, otherwise it failed
+async function settleStaleSend(draft) {
+  const sentEvent = await draftStore.findSentEvent(draft);
+  if (sentEvent) {
+    console.log(`[DRAFTS] Stale send of ${draft.draft_id} had gone out, marking sent`);
+    return draftStore.updateDraft(draft, {
+      status: 'sent',
+      decided_at: sentEvent.timestamp,
+      message_id: sentEvent.message_id || '',
+      error: ''
+    });
+  }
+
+  const error = `Sending timed out (started ${draft.sending_started_at || draft.updated_at}); check the lead's inbox before approving again`;
+  console.log(`[DRAFTS] Stale send of ${draft.draft_id}, marking failed`);
+  const failed = await draftStore.updateDraft(draft, { status: 'failed', error });
+  await draftStore.recordDraftEvent(failed, 'draft_send_failed', `Approved draft could not be sent: ${error}`);
+  return failed;
+}
+
+async function approveDraft(draft) {
+  // The contact may have bounced or unsubscribed since the draft was written
+  const suppression = await suppressionStore.getSuppression(draft.user_id, draft.to);
+  if (suppression) {
+    return jsonResponse(409, { success: false, error: `${draft.to} is on the suppression list (${suppression.reason})` });
+  }
+
+  draft = await draftStore.updateDraft(draft, { status: 'sending', sending_started_at: new Date().toISOString() });
+  await draftStore.recordDraftEvent(draft, 'draft_approved', `Draft approved for sending to ${draft.to}`);
+
+  let sendResult;
+  try {
+    // Sent exactly as the agent would have, with the thread's original In-Reply-To/References
+    sendResult = await sendReply({
+      to: draft.to,
+      subject: draft.subject,
+      body: draft.body,
+      inReplyTo: draft.in_reply_to,
+      references: draft.references,
+      trackingId: draft.tracking_id
+    });
+  } catch (error) {
+    console.error(`[DRAFTS] Sending ${draft.draft_id} failed:`, error);
+    const failed = await draftStore.updateDraft(draft, { status: 'failed', error: error.message });
+    await draftStore.recordDraftEvent(failed, 'draft_send_failed', `Approved draft could not be sent: ${error.message}`);
+    return jsonResponse(502, { success: false, error: error.message, draft: failed });
+  }
+
+  const { messageId, mailgunId } = sendResult;
+  const sent = await draftStore.updateDraft(draft, {
+    status: 'sent',
+    decided_at: new Date().toISOString(),
+    message_id: messageId,
+    error: ''
+  });
+  await draftStore.recordDraftEvent(sent, 'ai_reply', `Subject: ${sent.subject}\n\nTo: ${sent.to}\n\n${sent.body}`, { message_id: messageId, ...threadFields(sent.subject, sent.to) });
+  console.log(`[DRAFTS] Approved and sent ${draft.draft_id} as ${messageId}`);
+  return jsonResponse(200, { success: true, draft: sent, mailgun_id: mailgunId });
+}
+
+async function rejectDraft(draft, body) {
+  const reason = String(body.reason || '').substring(0, 500);
+  const rejected = await draftStore.updateDraft(draft, {
+    status: 'rejected',
+    decided_at: new Date().toISOString(),
+    reject_reason: reason
+  });
+  await draftStore.recordDraftEvent(rejected, 'draft_rejected', `Draft rejected${reason ? `: ${reason}` : ''}`);
+  console.log(`[DRAFTS] Rejected ${draft.draft_id}`);
+  return jsonResponse(200, { success: true, draft: rejected });
+}
+
+export const handler = async (event, context) => {
+  const unauthorized = requireAuth(event);
+  if (unauthorized) return unauthorized;
+
+  try {
+    const params = event.queryStringParameters || {};
+
+    const { body, response: invalidBody } = readJsonBody(event);
+    if (invalidBody) return invalidBody;
+
+    // List a user's drafts
+    if (event.httpMethod === 'GET' && !params.draft_id) {
+      const userCode = normalizeUserCode(params.user_code);
+      if (!isValidUserCode(userCode)) return invalidUserCodeResponse();
+      const { drafts, truncated } = await draftStore.listDrafts(userCode, params.status || 'pending');
+      return jsonResponse(200, { success: true, truncated, drafts });
+    }
+
+    const draftId = params.draft_id || body.draft_id;
+    if (!draftId) {
+      return jsonResponse(400, { success: false, error: 'draft_id is required' });
+    }
+    let draft = await draftStore.getDraft(draftId);
+    if (!draft) {
+      return jsonResponse(404, { success: false, error: 'Draft not found' });
+    }
+    if (isStaleSending(draft)) {
+      const claim = await claimDraft(draft);
+      if (claim) {
+        try {
+          draft = await settleStaleSend(claim.draft);
+        } finally {
+          await releaseIfUnchanged(claim);
+        }
+      } else {
+        // Another request is settling it
+        draft = (await draftStore.getDraft(draftId)) || draft;
+      }
+    }
+
+    if (event.httpMethod === 'GET') {
+      return jsonResponse(200, { success: true, draft });
+    }
+
+    // Sent and rejected drafts are final; a failed send can be edited and approved again
+    if (!['pending', 'failed'].includes(draft.status)) {
+      return jsonResponse(409, { success: false, error: `Draft is already ${draft.status}` });
+    }
+
+    const isEdit = event.httpMethod === 'PATCH' || event.httpMethod === 'PUT';
+    if (!isEdit && event.httpMethod !== 'POST') {
+      return jsonResponse(405, { success: false, error: 'Method not allowed' });
+    }
+    if (!isEdit && !['approve', 'reject'].includes(body.action)) {
+      return jsonResponse(400, { success: false, error: 'action must be approve or reject' });
+    }
+
+    const claim = await claimDraft(draft);
+    if (!claim) {
+      return jsonResponse(409, { success: false, error: 'Draft is being changed by another request; reload it and try again' });
+    }
+    try {
+      if (isEdit) return await editDraft(claim.draft, body);
+      return body.action === 'approve' ? await approveDraft(claim.draft) : await rejectDraft(claim.draft, body);
+    } finally {
+      await releaseIfUnchanged(claim);
+    }
+
+  } catch (error) {
+    console.error('[DRAFTS] Error handling draft request:', error);
+    return jsonResponse(500, { success: false, error: error.message });
+  }
+};
@@ -0,0 +1,16 @@
+/**
+ * Email address normalization, shared so suppression lookups, thread matching
+ * and routing all compare addresses the same way
+ */
+
+/**
+ * The bare, lowercased address from "Name <a@example.com>", "<a@example.com>"
+ * or "a@example.com" ('' when empty)
+ */
+function normalizeEmail(address) {
+    if (!address) return '';
+    const match = String(address).match(/<([^>]+)>/);
+    return (match ? match[1] : String(address)).trim().toLowerCase();
+}
+
+module.exports = { normalizeEmail };
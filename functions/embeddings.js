@@ -0,0 +1,119 @@
+const crypto = require('crypto');
+
+/**
+ * Embedding providers for the knowledge base
+ * A provider is { name, model, dimension, embed(texts) -> Promise<number[][]> }.
+ * EMBEDDING_PROVIDER picks one:
+ *
+ *   openai  (default) OpenAI embeddings API with OPENAI_API_KEY; EMBEDDING_MODEL
+ *           defaults to text-embedding-3-small (1536 dimensions)
+ *   local   deterministic feature hashing of words and word pairs - no network,
+ *           same text always gives the same vector; for offline runs and tests
+ *
+ * Other providers can be added with registerEmbeddingProvider(name, factory).
+ */
+
+const OPENAI_EMBEDDINGS_URL = 'https://api.openai.com/v1/embeddings';
+const OPENAI_DEFAULT_MODEL = 'text-embedding-3-small';
+const OPENAI_DIMENSIONS = {
+    'text-embedding-3-small': 1536,
+    'text-embedding-3-large': 3072,
+    'text-embedding-ada-002': 1536
+};
+// Inputs per embeddings request
+const OPENAI_BATCH_SIZE = 96;
+
+const LOCAL_DIMENSION = 256;
+
+function normalize(vector) {
+    const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+    return norm ? vector.map(value => value / norm) : vector;
+}
+
+function tokenize(text) {
+    return String(text || '').toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+}
+
+function createOpenAIProvider() {
+    const model = (process.env.EMBEDDING_MODEL || OPENAI_DEFAULT_MODEL).trim();
+    const dimension = OPENAI_DIMENSIONS[model] || parseInt(process.env.EMBEDDING_DIMENSION, 10);
+    if (!dimension) {
+        throw new Error(`Unknown dimension for embedding model ${model}; set EMBEDDING_DIMENSION`);
+    }
+
+    return {
+        name: 'openai',
+        model,
+        dimension,
+        async embed(texts) {
+            if (!process.env.OPENAI_API_KEY) {
+                throw new Error('OPENAI_API_KEY environment variable not set');
+            }
+            const vectors = [];
+            for (let start = 0; start < texts.length; start += OPENAI_BATCH_SIZE) {
+                const response = await fetch(OPENAI_EMBEDDINGS_URL, {
+                    method: 'POST',
+                    headers: {
+                        'Authorization': `Bearer ${process.env.OPENAI_API_KEY}`,
+                        'Content-Type': 'application/json'
+                    },
+                    body: JSON.stringify({ model, input: texts.slice(start, start + OPENAI_BATCH_SIZE) })
+                });
+                const result = await response.json();
+                if (!response.ok) {
+                    throw new Error(`OpenAI embeddings failed: ${result.error?.message || response.status}`);
+                }
+                // Results carry their input index; keep input order regardless of response order
+                vectors.push(...result.data.sort((a, b) => a.index - b.index).map(item => item.embedding));
+            }
+            return vectors;
+        }
+    };
+}
+
+/**
+ * Hashing-trick embedding: each word and adjacent word pair adds +/-1 to a
+ * bucket picked by its hash. Texts sharing vocabulary land close together.
+ */
+function createLocalProvider() {
+    function embedOne(text) {
+        const vector = new Array(LOCAL_DIMENSION).fill(0);
+        const words = tokenize(text);
+        const features = [...words, ...words.slice(1).map((word, i) => `${words[i]} ${word}`)];
+        for (const feature of features) {
+            const hash = crypto.createHash('sha256').update(feature).digest();
+            const bucket = hash.readUInt32BE(0) % LOCAL_DIMENSION;
+            vector[bucket] += hash[4] & 1 ? 1 : -1;
+        }
+        return normalize(vector);
+    }
+
+    return {
+        name: 'local',
+        model: `local-hash-${LOCAL_DIMENSION}`,
+        dimension: LOCAL_DIMENSION,
+        async embed(texts) {
+            return texts.map(embedOne);
+        }
+    };
+}
+
+const providers = {
+    openai: createOpenAIProvider,
+    local: createLocalProvider
+};
+
+function registerEmbeddingProvider(name, factory) {
+    providers[name] = factory;
+}
+
+/**
+ * The configured provider (EMBEDDING_PROVIDER, default openai)
+ */
+function getEmbeddingProvider(name = process.env.EMBEDDING_PROVIDER || 'openai') {
+    const factory = providers[String(name).trim().toLowerCase()];
+    if (!factory) throw new Error(`Unknown EMBEDDING_PROVIDER: ${name}`);
+    return factory();
+}
+
+module.exports = { getEmbeddingProvider, registerEmbeddingProvider, tokenize };
@@ -0,0 +1,208 @@
+// Engagement analytics API - aggregated email_tracking_events per tracking id, user and day
+//
+// sends counts the email_sent events mailgunSender records for every reply Mailgun accepts.
+// engaged_messages counts tracked emails (tracking ids) with at least one event of any kind.
+//
+// from/to select messages by send time (taken from the tracking id, or the message's earliest event
+// for ids without one), and every metric counts all events of the selected messages, including
+// engagement after to. The time series buckets those events by the day they happened.
+import { requireAuth } from './apiAuth.js';
+import { jsonResponse, normalizeUserCode, isValidUserCode, invalidUserCodeResponse } from './apiUtils.js';
+import { extractUserIdFromTrackingId, extractSentAtFromTrackingId } from './trackingUtils.js';
+import { eventStore, eventCriteria, mergeOpenEvents } from './eventStore.js';
+
+const OUTPUT_FIELDS = [
+  'tracking_id', 'event_type', 'timestamp', 'clicked_url',
+  'open_count', 'human_open_count', 'open_classification', 'click_classification'
+];
+
+function parseDateParam(value, endOfDay = false) {
+  if (!value) return null;
+  // Plain dates cover the whole day (to is exclusive, so it runs to the next midnight)
+  if (/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    const date = new Date(`${value}T00:00:00.000Z`);
+    if (endOfDay) date.setUTCDate(date.getUTCDate() + 1);
+    return isNaN(date.getTime()) ? undefined : date;
+  }
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? undefined : date;
+}
+
+function emptyTotals() {
+  return {
+    engaged_messages: 0,
+    sends: 0,
+    unique_opens: 0,
+    total_opens: 0,
+    machine_opens: 0,
+    clicks: 0,
+    unique_clicks: 0,
+    scanner_clicks: 0,
+    replies: 0,
+    ai_replies: 0,
+    meetings: 0
+  };
+}
+
+// Human opens on an aggregated email_open row (legacy rows were all human)
+function humanOpens(row) {
+  if (row.human_open_count !== undefined && row.human_open_count !== null) {
+    return Number(row.human_open_count) || 0;
+  }
+  return Number(row.open_count) || 1;
+}
+
+/**
+ * Fold raw events into totals, per-URL clicks, per-tracking-id and per-day breakdowns
+ */
+function aggregate(rows) {
+  const totals = emptyTotals();
+  const clicksByUrl = {};
+  const byTrackingId = {};
+  const byUser = {};
+  const byDay = {};
+
+  const bucket = (map, key) => (map[key] = map[key] || emptyTotals());
+  const clickers = new Set();
+
+  for (const row of rows) {
+    const trackingId = row.tracking_id;
+    const day = String(row.timestamp || '').slice(0, 10) || 'unknown';
+    const targets = [
+      totals,
+      bucket(byTrackingId, trackingId),
+      bucket(byUser, extractUserIdFromTrackingId(trackingId) || 'unknown'),
+      bucket(byDay, day)
+    ];
+    const add = (field, amount = 1) => targets.forEach(target => { target[field] += amount; });
+
+    switch (row.event_type) {
+      case 'email_sent':
+        add('sends');
+        break;
+      case 'email_open': {
+        const opens = humanOpens(row);
+        add('total_opens', opens);
+        add('machine_opens', Math.max((Number(row.open_count) || 1) - opens, 0));
+        if (opens > 0) add('unique_opens');
+        break;
+      }
+      case 'link_click': {
+        if (row.click_classification === 'scanner') {
+          add('scanner_clicks');
+          break;
+        }
+        add('clicks');
+        const url = row.clicked_url || 'unknown';
+        const urlStats = clicksByUrl[url] = clicksByUrl[url] || { clicks: 0, unique_clicks: 0 };
+        urlStats.clicks += 1;
+        if (!clickers.has(`${trackingId}|${url}`)) {
+          clickers.add(`${trackingId}|${url}`);
+          urlStats.unique_clicks += 1;
+          add('unique_clicks');
+        }
+        break;
+      }
+      case 'lead_message':
+        add('replies');
+        break;
+      case 'ai_reply':
+        add('ai_replies');
+        break;
+      case 'calendar_created':
+        add('meetings');
+        break;
+      default:
+        break;
+    }
+  }
+
+  // Every tracked email has exactly one tracking id
+  for (const [trackingId, stats] of Object.entries(byTrackingId)) {
+    stats.engaged_messages = 1;
+    totals.engaged_messages += 1;
+    bucket(byUser, extractUserIdFromTrackingId(trackingId) || 'unknown').engaged_messages += 1;
+  }
+
+  // Messages aren't events, so the daily series leaves them out
+  const timeSeries = Object.keys(byDay).sort().map(day => {
+    const { engaged_messages, ...counts } = byDay[day];
+    return { date: day, ...counts };
+  });
+
+  return {
+    totals,
+    clicks_by_url: clicksByUrl,
+    by_user: byUser,
+    by_tracking_id: byTrackingId,
+    time_series: timeSeries
+  };
+}
+
+/**
+ * Events of the messages sent within [from, to)
+ */
+function filterByMessageSentAt(rows, from, to) {
+  if (!from && !to) return rows;
+
+  const sentAt = {};
+  for (const row of rows) {
+    const embedded = extractSentAtFromTrackingId(row.tracking_id);
+    const candidate = embedded ? embedded.toISOString() : row.timestamp;
+    if (candidate && (!sentAt[row.tracking_id] || candidate < sentAt[row.tracking_id])) {
+      sentAt[row.tracking_id] = candidate;
+    }
+  }
+
+  const fromIso = from ? from.toISOString() : null;
+  const toIso = to ? to.toISOString() : null;
+  return rows.filter(row => {
+    const sent = sentAt[row.tracking_id];
+    return sent && (!fromIso || sent >= fromIso) && (!toIso || sent < toIso);
+  });
+}
+
+export const handler = async (event, context) => {
+  const unauthorized = requireAuth(event);
+  if (unauthorized) return unauthorized;
+
+  try {
+    const params = event.queryStringParameters || {};
+    const userCode = normalizeUserCode(params.user_code);
+    const trackingId = params.tracking_id;
+    const from = parseDateParam(params.from);
+    const to = parseDateParam(params.to, true);
+
+    if (userCode && !isValidUserCode(userCode)) return invalidUserCodeResponse();
+    if (from === undefined || to === undefined) {
+      return jsonResponse(400, { success: false, error: 'from/to must be ISO dates' });
+    }
+
+    // A message's events never precede its send, so from also bounds the query; to can't
+    const criteria = eventCriteria({ userCode, trackingId, from });
+    console.log('[ANALYTICS] Querying events with criteria:', JSON.stringify(criteria));
+
+    const { rows: fetched, truncated } = await eventStore.findEvents(criteria, { fields: OUTPUT_FIELDS });
+    const inRange = filterByMessageSentAt(fetched, from, to);
+    console.log(`[ANALYTICS] Aggregating ${inRange.length} of ${fetched.length} events (truncated: ${truncated})`);
+
+    return jsonResponse(200, {
+      success: true,
+      filters: {
+        user_code: userCode || null,
+        tracking_id: trackingId || null,
+        from: from ? from.toISOString() : null,
+        to: to ? to.toISOString() : null,
+        range_applies_to: 'message_sent_at'
+      },
+      event_count: inRange.length,
+      truncated,
+      // The pixel stores a row per open; aggregate sees one merged row per message
+      ...aggregate(mergeOpenEvents(inRange))
+    });
+
+  } catch (error) {
+    console.error('[ANALYTICS] Error building analytics:', error);
+    return jsonResponse(500, { success: false, error: error.message });
+  }
+};
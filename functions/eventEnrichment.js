@@ -0,0 +1,87 @@
+const { firstForwardedIp } = require('./ipUtils');
+
+/**
+ * Device, mail client and coarse geo enrichment for open/click events
+ * Geo comes from the offline geoip-lite database shipped with the functions
+ * (see external_node_modules in netlify.toml), so no lookup leaves the function.
+ */
+
+let geoip = null;
+try {
+    geoip = require('geoip-lite');
+} catch (error) {
+    console.warn('[ENRICH] geoip-lite not available, geo enrichment disabled:', error.message);
+}
+
+// First match wins, so the more specific clients come before generic browsers
+const MAIL_CLIENTS = [
+    { name: 'Gmail', pattern: /GoogleImageProxy|ggpht\.com|GSA\/|Gmail/i },
+    { name: 'Yahoo Mail', pattern: /YahooMailProxy|YahooMobile/i },
+    { name: 'Outlook', pattern: /Microsoft Outlook|ms-office|MSOffice|Outlook-iOS|Outlook-Android|OutlookImageProxy/i },
+    { name: 'Thunderbird', pattern: /Thunderbird/i },
+    { name: 'Samsung Email', pattern: /SamsungEmail|com\.samsung\.android\.email/i },
+    { name: 'Superhuman', pattern: /Superhuman/i },
+    { name: 'Spark', pattern: /Spark\//i },
+    { name: 'Apple Mail', pattern: /^Mozilla\/5\.0$|AppleWebKit\/[\d.]+ \(KHTML, like Gecko\)( Mobile\/\w+)?$/ }
+];
+
+const OPERATING_SYSTEMS = [
+    { name: 'iOS', pattern: /iPhone|iPad|iPod|CPU( iPhone)? OS/ },
+    { name: 'Android', pattern: /Android/ },
+    { name: 'Windows', pattern: /Windows/ },
+    { name: 'ChromeOS', pattern: /CrOS/ },
+    { name: 'macOS', pattern: /Mac OS X|Macintosh/ },
+    { name: 'Linux', pattern: /Linux|X11/ }
+];
+
+function detectMailClient(userAgent) {
+    const client = MAIL_CLIENTS.find(({ pattern }) => pattern.test(userAgent));
+    if (client) return client.name;
+    if (/Chrome|Firefox|Safari|Edg\//.test(userAgent)) return 'Web browser';
+    return 'Unknown';
+}
+
+function detectOs(userAgent) {
+    const os = OPERATING_SYSTEMS.find(({ pattern }) => pattern.test(userAgent));
+    return os ? os.name : 'Unknown';
+}
+
+function detectDeviceType(userAgent) {
+    if (!userAgent || userAgent === 'Unknown') return 'unknown';
+    if (/bot\b|bot\/|crawler|spider|ImageProxy|YahooMailProxy|^Mozilla\/5\.0$/i.test(userAgent)) return 'proxy';
+    if (/iPad|Tablet|Android(?!.*Mobile)/i.test(userAgent)) return 'tablet';
+    if (/Mobile|iPhone|iPod|Android/i.test(userAgent)) return 'mobile';
+    return 'desktop';
+}
+
+function lookupGeo(ip) {
+    if (!geoip || !ip) return null;
+    try {
+        return geoip.lookup(ip);
+    } catch (error) {
+        console.warn('[ENRICH] Geo lookup failed:', error.message);
+        return null;
+    }
+}
+
+/**
+ * Enrichment fields for an open/click request, ready to spread into an event row
+ */
+function enrichRequest(headers = {}) {
+    const userAgent = headers['user-agent'] || 'Unknown';
+    const clientIp = firstForwardedIp(headers['x-forwarded-for'] || headers['x-nf-client-connection-ip']);
+    const geo = lookupGeo(clientIp);
+    const deviceType = detectDeviceType(userAgent);
+
+    return {
+        client_ip: clientIp || 'Unknown',
+        device_type: deviceType,
+        // Image proxies spoof a desktop user agent, so their OS says nothing about the reader
+        os: deviceType === 'proxy' ? 'Unknown' : detectOs(userAgent),
+        mail_client: detectMailClient(userAgent),
+        geo_country: geo?.country || '',
+        geo_region: geo?.region || ''
+    };
+}
+
+module.exports = { enrichRequest };
@@ -0,0 +1,113 @@
+const { getCollection } = require('./dataStore');
+const { OPEN_CLASSES } = require('./openClassifier');
+
+/**
+ * Event store for email_tracking_events
+ * Opens, clicks, inbound messages and agent actions all go through here; the
+ * backend (Zilliz, memory or local file) comes from DATA_STORE_BACKEND.
+ *
+ * The tracking pixel appends one email_open row per open and never rewrites
+ * them, so simultaneous opens can't overwrite each other. Readers fold a
+ * message's opens into a single row with mergeOpenEvents().
+ */
+
+const EVENTS_COLLECTION = 'email_tracking_events';
+
+// Event fields the agent's get_conversation tool reads (exports use the same set)
+const CONVERSATION_FIELDS = ['timestamp', 'event_type', 'user_agent', 'email_address', 'recipient', 'event_content'];
+
+function events() {
+    return getCollection(EVENTS_COLLECTION);
+}
+
+/**
+ * Criteria for the usual event filters; from is inclusive, to is exclusive
+ */
+function eventCriteria({ trackingId, userCode, eventTypes, from, to } = {}) {
+    const criteria = {};
+    if (trackingId) {
+        criteria.tracking_id = trackingId;
+    } else if (userCode) {
+        criteria.tracking_id = { prefix: `tracking-${userCode}_` };
+    }
+    if (eventTypes && eventTypes.length) {
+        criteria.event_type = Array.isArray(eventTypes) ? eventTypes : [eventTypes];
+    }
+    if (from || to) {
+        criteria.timestamp = {};
+        if (from) criteria.timestamp.gte = new Date(from).toISOString();
+        if (to) criteria.timestamp.lt = new Date(to).toISOString();
+    }
+    return criteria;
+}
+
+function openClassCounts(row) {
+    const count = Number(row.open_count) || 1;
+    // Rows written before classification only ever held non-bot opens
+    if (row.human_open_count === undefined || row.human_open_count === null) {
+        return { human: count, proxy_prefetch: 0, bot: 0 };
+    }
+    return Object.fromEntries(OPEN_CLASSES.map(type => [type, Number(row[`${type}_open_count`]) || 0]));
+}
+
+/**
+ * The rows with each tracking id's email_open rows folded into one, carrying
+ * the total open_count, per-class counts, open_classification (the most
+ * trusted class seen) and first/last open times. Older rows that already
+ * hold totals fold in the same way.
+ */
+function mergeOpenEvents(rows) {
+    const others = [];
+    const opens = new Map();
+
+    for (const row of rows) {
+        if (row.event_type !== 'email_open') {
+            others.push(row);
+            continue;
+        }
+        const counts = openClassCounts(row);
+        const first = row.first_opened_at || row.timestamp;
+        const last = row.last_opened_at || row.timestamp;
+        const merged = opens.get(row.tracking_id);
+
+        if (!merged) {
+            opens.set(row.tracking_id, { ...row, open_count: Number(row.open_count) || 1, counts, first, last });
+            continue;
+        }
+        merged.open_count += Number(row.open_count) || 1;
+        for (const type of OPEN_CLASSES) merged.counts[type] += counts[type];
+        if (first && first < merged.first) merged.first = first;
+        if (last && last > merged.last) merged.last = last;
+    }
+
+    const merged = [...opens.values()].map(({ counts, first, last, ...row }) => ({
+        ...row,
+        timestamp: first,
+        first_opened_at: first,
+        last_opened_at: last,
+        open_classification: OPEN_CLASSES.find(type => counts[type] > 0) || 'human',
+        human_open_count: counts.human,
+        proxy_prefetch_open_count: counts.proxy_prefetch,
+        bot_open_count: counts.bot
+    }));
+    return [...others, ...merged];
+}
+
+const eventStore = {
+    isConfigured: () => events().isConfigured(),
+    ping: () => events().ping(),
+    insertEvents: (rows) => events().insert(rows),
+    findEvents: (criteria, options) => events().find(criteria, options),
+    pageEvents: (criteria, options) => events().page(criteria, options),
+    deleteEvents: (criteria) => events().delete(criteria),
+
+    /**
+     * A thread's events, oldest first, its opens merged into one
+     */
+    async getConversation(trackingId, limit = 25, fields = CONVERSATION_FIELDS) {
+        const { rows } = await events().find({ tracking_id: trackingId }, { fields, limit });
+        return mergeOpenEvents(rows).sort((a, b) => new Date(a.timestamp).getTime() - new Date(b.timestamp).getTime());
+    }
+};
+
+module.exports = { eventStore, eventCriteria, mergeOpenEvents, CONVERSATION_FIELDS, EVENTS_COLLECTION };
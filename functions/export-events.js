@@ -0,0 +1,128 @@
+// Export email_tracking_events as CSV or NDJSON, one keyset page per request
+import { requireAuth } from './apiAuth.js';
+import { jsonResponse, normalizeUserCode, isValidUserCode, invalidUserCodeResponse } from './apiUtils.js';
+import { eventStore, eventCriteria, CONVERSATION_FIELDS } from './eventStore.js';
+
+const EXPORT_FIELDS = ['tracking_id', ...CONVERSATION_FIELDS];
+const DEFAULT_PAGE_SIZE = 1000;
+const MAX_PAGE_SIZE = 5000;
+const EXPORT_PATH = '/api/export';
+
+const FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  ndjson: { contentType: 'application/x-ndjson; charset=utf-8', extension: 'ndjson' }
+};
+
+function encodeCursor(after) {
+  return Buffer.from(JSON.stringify({ after })).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+  if (!cursor) return null;
+  const { after } = JSON.parse(Buffer.from(cursor, 'base64url').toString());
+  return after;
+}
+
+// Event content comes from inbound mail, so a cell a spreadsheet would read as a
+// formula (=, +, -, @, tab, CR) is prefixed with ' to keep it plain text
+function csvValue(value) {
+  if (value === undefined || value === null) return '';
+  const raw = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  const text = /^[=+\-@\t\r]/.test(raw) ? `'${raw}` : raw;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsv(rows, includeHeader) {
+  const lines = rows.map(row => EXPORT_FIELDS.map(field => csvValue(row[field])).join(','));
+  if (includeHeader) lines.unshift(EXPORT_FIELDS.join(','));
+  return lines.length ? `${lines.join('\r\n')}\r\n` : '';
+}
+
+function toNdjson(rows) {
+  return rows.map(row => JSON.stringify(Object.fromEntries(EXPORT_FIELDS.map(field => [field, row[field] ?? null])))).join('\n') + (rows.length ? '\n' : '');
+}
+
+// The requested URL without its query, or the public export path when it isn't known
+function nextPageBase(event) {
+  try {
+    const url = new URL(event.rawUrl);
+    return `${url.origin}${url.pathname}`;
+  } catch (error) {
+    return EXPORT_PATH;
+  }
+}
+
+function parseDateParam(value) {
+  if (!value) return null;
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? undefined : date;
+}
+
+export const handler = async (event, context) => {
+  const unauthorized = requireAuth(event);
+  if (unauthorized) return unauthorized;
+
+  try {
+    const params = event.queryStringParameters || {};
+    const format = (params.format || 'csv').toLowerCase();
+    const userCode = normalizeUserCode(params.user_code);
+    const eventTypes = (params.event_type || '').split(',').map(type => type.trim()).filter(Boolean);
+    const from = parseDateParam(params.from);
+    const to = parseDateParam(params.to);
+    const pageSize = params.page_size ? Number(params.page_size) : DEFAULT_PAGE_SIZE;
+
+    if (!FORMATS[format]) {
+      return jsonResponse(400, { success: false, error: 'format must be csv or ndjson' });
+    }
+    if (!Number.isInteger(pageSize) || pageSize < 1 || pageSize > MAX_PAGE_SIZE) {
+      return jsonResponse(400, { success: false, error: `page_size must be a whole number from 1 to ${MAX_PAGE_SIZE}` });
+    }
+    if (userCode && !isValidUserCode(userCode)) return invalidUserCodeResponse();
+    if (from === undefined || to === undefined) {
+      return jsonResponse(400, { success: false, error: 'from/to must be ISO dates' });
+    }
+
+    let after;
+    try {
+      after = decodeCursor(params.cursor);
+    } catch (error) {
+      return jsonResponse(400, { success: false, error: 'Invalid cursor' });
+    }
+
+    const criteria = eventCriteria({ userCode, eventTypes, from, to });
+    console.log(`[EXPORT] Exporting ${format} page with criteria: ${JSON.stringify(criteria)} (after: ${after})`);
+
+    const { rows, nextAfter } = await eventStore.pageEvents(criteria, {
+      fields: EXPORT_FIELDS,
+      after,
+      limit: pageSize
+    });
+
+    const headers = {
+      'Content-Type': FORMATS[format].contentType,
+      'Content-Disposition': `attachment; filename="email_tracking_events.${FORMATS[format].extension}"`,
+      'Cache-Control': 'no-store',
+      'X-Row-Count': String(rows.length)
+    };
+
+    // Callers keep requesting with the same filters and ?cursor= until no X-Next-Cursor comes back
+    if (nextAfter) {
+      const nextCursor = encodeCursor(nextAfter);
+      const nextParams = new URLSearchParams({ ...params, cursor: nextCursor });
+      headers['X-Next-Cursor'] = nextCursor;
+      headers['Link'] = `<${nextPageBase(event)}?${nextParams.toString()}>; rel="next"`;
+    }
+
+    console.log(`[EXPORT] Returning ${rows.length} rows, more: ${!!nextAfter}`);
+
+    return {
+      statusCode: 200,
+      headers,
+      body: format === 'csv' ? toCsv(rows, !params.cursor) : toNdjson(rows)
+    };
+
+  } catch (error) {
+    console.error('[EXPORT] Error exporting events:', error);
+    return jsonResponse(500, { success: false, error: error.message });
+  }
+};
@@ -0,0 +1,14 @@
+/**
+ * HTML escaping for pages and emails we build from untrusted text
+ */
+
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+module.exports = { escapeHtml };
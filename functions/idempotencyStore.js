@@ -0,0 +1,150 @@
+const crypto = require('crypto');
+const { getCollection } = require('./dataStore');
+const { claimStore } = require('./claimStore');
+
+/**
+ * Durable idempotency for inbound webhook deliveries (inbound_message_state)
+ * Each inbound Message-ID moves through processing -> completed | failed.
+ * Mailgun retries of a completed message are skipped, retries of a failed
+ * one (or of a run that died mid-way) are processed again, and every row
+ * expires after IDEMPOTENCY_TTL_SECONDS. Rows keep the Mailgun timestamp and
+ * token of the delivery that claimed them, so a retry of a failed delivery can
+ * be told apart from a replayed signature (see mailgunSignature).
+ *
+ * Two instances claiming the same message at once are settled in claimStore
+ * (inbound:<message_id>:<attempt>), so exactly one gets each attempt. The
+ * final state replaces the attempt's row in one write (upsert).
+ */
+
+const IDEMPOTENCY_COLLECTION = 'inbound_message_state';
+
+// Mailgun gives up retrying after ~8 hours; keep records well past that
+const DEFAULT_TTL_SECONDS = 3 * 24 * 60 * 60;
+// A processing claim older than this is treated as a crashed run and can be retried
+const DEFAULT_PROCESSING_TIMEOUT_SECONDS = 15 * 60;
+
+const STATE_FIELDS = [
+    'message_id', 'state', 'attempt', 'claim_token', 'started_at', 'updated_at', 'expires_at', 'tracking_id', 'error',
+    'mailgun_timestamp', 'mailgun_token'
+];
+
+function messages() {
+    return getCollection(IDEMPOTENCY_COLLECTION);
+}
+
+function getTtlSeconds() {
+    const configured = parseInt(process.env.IDEMPOTENCY_TTL_SECONDS, 10);
+    return Number.isFinite(configured) && configured > 0 ? configured : DEFAULT_TTL_SECONDS;
+}
+
+function getProcessingTimeoutSeconds() {
+    const configured = parseInt(process.env.IDEMPOTENCY_PROCESSING_TIMEOUT_SECONDS, 10);
+    return Number.isFinite(configured) && configured > 0 ? configured : DEFAULT_PROCESSING_TIMEOUT_SECONDS;
+}
+
+function isoAfter(now, seconds) {
+    return new Date(now + seconds * 1000).toISOString();
+}
+
+/**
+ * The live (unexpired) row that describes a message's current state, or null
+ */
+function currentState(rows, now) {
+    const live = rows.filter(row => !row.expires_at || new Date(row.expires_at).getTime() > now);
+    if (!live.length) return null;
+    return live.sort((a, b) => (b.attempt || 0) - (a.attempt || 0) || (b.updated_at || '').localeCompare(a.updated_at || ''))[0];
+}
+
+async function writeFinalState(messageId, claimToken, state, { trackingId = '', error = '' } = {}) {
+    const now = Date.now();
+    const { rows } = await messages().find({ message_id: messageId }, { fields: STATE_FIELDS });
+    const claim = rows.find(row => row.claim_token === claimToken) || {};
+
+    const row = {
+        message_id: messageId,
+        state,
+        attempt: claim.attempt || 1,
+        claim_token: claimToken,
+        started_at: claim.started_at || new Date(now).toISOString(),
+        updated_at: new Date(now).toISOString(),
+        expires_at: isoAfter(now, getTtlSeconds()),
+        tracking_id: trackingId || claim.tracking_id || '',
+        error: String(error || '').substring(0, 500),
+        mailgun_timestamp: claim.mailgun_timestamp || '',
+        mailgun_token: claim.mailgun_token || ''
+    };
+    // The attempt's own row is replaced in place; it is only missing if a later attempt took over
+    if (claim.id !== undefined) {
+        await messages().upsert([{ ...row, id: claim.id }]);
+    } else {
+        await messages().insert([row]);
+    }
+}
+
+const idempotencyStore = {
+    /**
+     * Try to take a message for processing. signature is the delivery's Mailgun
+     * { timestamp, token }, kept on the record.
+     * Returns { claimed: true, claimToken, attempt } or { claimed: false, state, record }.
+     */
+    async claimMessage(messageId, { trackingId = '', signature = {} } = {}) {
+        const now = Date.now();
+        const { rows } = await messages().find({ message_id: messageId }, { fields: STATE_FIELDS });
+        const current = currentState(rows, now);
+
+        if (current?.state === 'completed') {
+            return { claimed: false, state: 'completed', record: current };
+        }
+        if (current?.state === 'processing') {
+            const age = (now - new Date(current.updated_at).getTime()) / 1000;
+            if (age < getProcessingTimeoutSeconds()) {
+                return { claimed: false, state: 'processing', record: current };
+            }
+            console.log(`[IDEMPOTENCY] Processing claim on ${messageId} is ${Math.round(age)}s old, retrying`);
+        }
+
+        const attempt = (current?.attempt || 0) + 1;
+        const { claimed } = await claimStore.claim(`inbound:${messageId}:${attempt}`, { expiresAt: isoAfter(now, getTtlSeconds()) });
+        if (!claimed) {
+            return { claimed: false, state: 'processing', record: { message_id: messageId, state: 'processing', attempt } };
+        }
+
+        const claimToken = crypto.randomBytes(12).toString('hex');
+        await messages().insert([{
+            message_id: messageId,
+            state: 'processing',
+            attempt,
+            claim_token: claimToken,
+            started_at: new Date(now).toISOString(),
+            updated_at: new Date(now).toISOString(),
+            expires_at: isoAfter(now, getTtlSeconds()),
+            tracking_id: trackingId,
+            error: '',
+            mailgun_timestamp: String(signature.timestamp || ''),
+            mailgun_token: String(signature.token || '')
+        }]);
+
+        // Earlier attempts and expired rows are no longer needed
+        if (rows.length) {
+            await messages().delete({ message_id: messageId, attempt: { lt: attempt } });
+        }
+        await messages().delete({ expires_at: { lt: new Date(now).toISOString() } });
+
+        return { claimed: true, claimToken, attempt };
+    },
+
+    completeMessage(messageId, claimToken, details) {
+        return writeFinalState(messageId, claimToken, 'completed', details);
+    },
+
+    failMessage(messageId, claimToken, details) {
+        return writeFinalState(messageId, claimToken, 'failed', details);
+    },
+
+    async getMessageState(messageId) {
+        const { rows } = await messages().find({ message_id: messageId }, { fields: STATE_FIELDS });
+        return currentState(rows, Date.now());
+    }
+};
+
+module.exports = { idempotencyStore, IDEMPOTENCY_COLLECTION };
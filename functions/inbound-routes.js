@@ -0,0 +1,56 @@
+// Inbound address API - per-user addresses that route new inbound mail to that user
+import { requireAuth } from './apiAuth.js';
+import { jsonResponse, readJsonBody, normalizeUserCode, isValidUserCode, invalidUserCodeResponse } from './apiUtils.js';
+import { inboundRouting, parseAddresses } from './inboundRouting.js';
+
+export const handler = async (event, context) => {
+  const unauthorized = requireAuth(event);
+  if (unauthorized) return unauthorized;
+
+  try {
+    const params = event.queryStringParameters || {};
+    const { body, response: invalidBody } = readJsonBody(event);
+    if (invalidBody) return invalidBody;
+
+    const userCode = normalizeUserCode(params.user_code || body.user_code);
+    if (!isValidUserCode(userCode)) return invalidUserCodeResponse();
+
+    switch (event.httpMethod) {
+      case 'GET': {
+        const routes = await inboundRouting.listRoutes(userCode);
+        return jsonResponse(200, { success: true, routes });
+      }
+
+      case 'POST': {
+        const address = parseAddresses(body.address)[0];
+        if (!address) {
+          return jsonResponse(400, { success: false, error: 'address must be an email address' });
+        }
+        const existing = await inboundRouting.getRoute(address);
+        if (existing && existing.user_id !== userCode) {
+          return jsonResponse(409, { success: false, error: `${address} already routes to another user` });
+        }
+        const route = await inboundRouting.addRoute(address, userCode);
+        console.log(`[ROUTES] ${address} now routes to user ${userCode}`);
+        return jsonResponse(201, { success: true, route });
+      }
+
+      case 'DELETE': {
+        const address = parseAddresses(params.address || body.address)[0];
+        if (!address) {
+          return jsonResponse(400, { success: false, error: 'address is required' });
+        }
+        await inboundRouting.removeRoute(address, userCode);
+        console.log(`[ROUTES] Removed ${address} from user ${userCode}`);
+        return jsonResponse(200, { success: true, removed: address });
+      }
+
+      default:
+        return jsonResponse(405, { success: false, error: 'Method not allowed' });
+    }
+
+  } catch (error) {
+    console.error('[ROUTES] Error handling route request:', error);
+    return jsonResponse(500, { success: false, error: error.message });
+  }
+};
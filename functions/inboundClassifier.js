@@ -0,0 +1,188 @@
+const { normalizeEmail } = require('./emailAddress');
+
+/**
+ * Inbound mail classification for the Mailgun webhook
+ * Every inbound message is labelled before the agent sees it. Only 'human'
+ * mail is answered; the rest is recorded and dropped so the agent never
+ * replies to an auto-responder, a bounce, a list or itself.
+ *
+ *   human          a person wrote this
+ *   out_of_office  vacation / OOO auto-reply (return date captured if stated)
+ *   auto_reply     any other auto-responder or no-reply sender
+ *   bounce         delivery failure report from a mail server
+ *   bulk           list / bulk mail (Precedence: bulk|list|junk, List-Id)
+ *   mail_loop      one of our own outgoing messages coming back in
+ */
+
+// Our outgoing domain (see mailgunSender); mail from it or carrying our Message-IDs is a loop
+const OWN_DOMAIN = 'mg.examarkchat.com';
+
+// Event type recorded for each non-human classification
+const AUTOMATED_EVENT_TYPES = {
+    out_of_office: 'out_of_office_received',
+    auto_reply: 'auto_reply_received',
+    bounce: 'bounce_received',
+    bulk: 'bulk_mail_received',
+    mail_loop: 'mail_loop_blocked'
+};
+
+const BOUNCE_SENDER = /^(mailer-daemon|postmaster|mail-daemon|mailerdaemon)@/i;
+const NO_REPLY_SENDER = /^(no-?reply|do-?not-?reply|noreply-[\w.-]+|notifications?|auto-?reply|autoresponder)@/i;
+
+const BOUNCE_SUBJECT = /^(undeliver(able|ed)( mail)?|delivery status notification|mail delivery (failed|failure|subsystem)|returned mail|delivery failure|failure notice|message not delivered)\b/i;
+const OOO_SUBJECT = /^(automatic reply|auto(matische)? ?(reply|antwort)|autoreply|out of (the )?office|ooo\b|abwesenheitsnotiz|absence|r[ée]ponse automatique|respuesta autom[aá]tica|on vacation|away from (the )?office)/i;
+const AUTO_REPLY_SUBJECT = /^(auto(-| )?(reply|response|submitted)|automated (reply|response)|thank you for (contacting|your (email|message))|we('ve| have) received your (email|message|request))/i;
+
+const OOO_BODY = /\b(out of (the )?office|on (annual |parental |maternity |paternity )?(vacation|leave|holiday)|away from (the |my )?(office|desk)|limited access to (my )?e-?mail|no access to (my )?e-?mail|currently (away|travelling|traveling|out)|i('m| am) (away|out|off) (until|till|through|from)|will (be )?(back|return(ing)?)( to the office)? (on|by|after)|back in the office (on|by)|return(ing)? to the office)\b/i;
+
+const MONTHS = ['january', 'february', 'march', 'april', 'may', 'june', 'july', 'august', 'september', 'october', 'november', 'december'];
+const MONTH_PATTERN = '(jan(?:uary)?|feb(?:ruary)?|mar(?:ch)?|apr(?:il)?|may|june?|july?|aug(?:ust)?|sep(?:t(?:ember)?)?|oct(?:ober)?|nov(?:ember)?|dec(?:ember)?)\\.?';
+
+function header(headers, name) {
+    return String(headers?.[name] || '').trim();
+}
+
+function monthIndex(name) {
+    const prefix = name.toLowerCase().replace('.', '').substring(0, 3);
+    return MONTHS.findIndex(month => month.startsWith(prefix));
+}
+
+function formatDate(year, month, day) {
+    const date = new Date(Date.UTC(year, month, day));
+    if (date.getUTCMonth() !== month || date.getUTCDate() !== day) return null;
+    return date.toISOString().substring(0, 10);
+}
+
+// Dates without a year mean the next such date on or after the message
+function withYear(month, day, year, reference) {
+    if (year) return formatDate(year < 100 ? 2000 + year : year, month, day);
+    const thisYear = reference.getUTCFullYear();
+    const candidate = formatDate(thisYear, month, day);
+    if (candidate && candidate >= reference.toISOString().substring(0, 10)) return candidate;
+    return formatDate(thisYear + 1, month, day);
+}
+
+/**
+ * The return date an out-of-office message states, as YYYY-MM-DD, or null.
+ * Looks for a date after phrases like "back on", "return on", "until".
+ */
+function extractReturnDate(text, reference = new Date()) {
+    const source = String(text || '');
+    const cue = /\b(?:back|return(?:ing)?|returns|in the office|in office|until|till|through|thru|resume|available(?: again)?)\b[^.\n]{0,40}?/gi;
+
+    let cueMatch;
+    while ((cueMatch = cue.exec(source)) !== null) {
+        const rest = source.substring(cueMatch.index + cueMatch[0].length, cueMatch.index + cueMatch[0].length + 60);
+
+        let match = rest.match(/^\D{0,20}?(\d{4})-(\d{2})-(\d{2})/);
+        if (match) {
+            const date = formatDate(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+            if (date) return date;
+        }
+
+        // "March 3rd", "Monday, March 3, 2025"
+        match = rest.match(new RegExp(`^[^\\d\\n]{0,20}?\\b${MONTH_PATTERN}\\s+(\\d{1,2})(?:st|nd|rd|th)?(?:,?\\s+(\\d{4}))?`, 'i'));
+        if (match) {
+            const date = withYear(monthIndex(match[1]), Number(match[2]), match[3] && Number(match[3]), reference);
+            if (date) return date;
+        }
+
+        // "3 March", "3rd of March 2025"
+        match = rest.match(new RegExp(`^\\D{0,20}?\\b(\\d{1,2})(?:st|nd|rd|th)?\\s+(?:of\\s+)?${MONTH_PATTERN}(?:,?\\s+(\\d{4}))?`, 'i'));
+        if (match) {
+            const date = withYear(monthIndex(match[2]), Number(match[1]), match[3] && Number(match[3]), reference);
+            if (date) return date;
+        }
+
+        // US numeric "3/15" or "3/15/2025"
+        match = rest.match(/^\D{0,20}?\b(\d{1,2})\/(\d{1,2})(?:\/(\d{2,4}))?\b/);
+        if (match) {
+            const date = withYear(Number(match[1]) - 1, Number(match[2]), match[3] && Number(match[3]), reference);
+            if (date) return date;
+        }
+    }
+    return null;
+}
+
+function result(classification, reason, extra = {}) {
+    return { classification, reason, ooo_return_date: null, ...extra };
+}
+
+/**
+ * Classify one inbound message from its parsed headers, sender, subject and body.
+ * Returns { classification, reason, ooo_return_date }.
+ */
+function classifyInbound({ headers = {}, from = '', subject = '', body = '', messageId = '', receivedAt = new Date() } = {}) {
+    const sender = normalizeEmail(from);
+    const subjectText = String(subject || '').trim();
+    const bodyText = String(body || '');
+    const autoSubmitted = header(headers, 'auto-submitted').toLowerCase();
+    const precedence = header(headers, 'precedence').toLowerCase();
+    const contentType = header(headers, 'content-type').toLowerCase();
+
+    // Our own mail coming back (a forward rule, a misconfigured route, another ExaMark inbox)
+    if (sender.endsWith(`@${OWN_DOMAIN}`)) {
+        return result('mail_loop', 'own_sender');
+    }
+    if (/^ai-response-/i.test(messageId) && String(messageId).toLowerCase().endsWith(`@${OWN_DOMAIN}`)) {
+        return result('mail_loop', 'own_message_id');
+    }
+
+    // Delivery failure reports
+    if (contentType.includes('multipart/report') && contentType.includes('delivery-status')) {
+        return result('bounce', 'delivery_status_report');
+    }
+    if (header(headers, 'x-failed-recipients')) {
+        return result('bounce', 'x_failed_recipients');
+    }
+    if (BOUNCE_SENDER.test(sender)) {
+        return result('bounce', 'bounce_sender');
+    }
+    if (BOUNCE_SUBJECT.test(subjectText)) {
+        return result('bounce', 'bounce_subject');
+    }
+
+    // Auto-responders: RFC 3834 Auto-Submitted plus the common vendor headers
+    const isOutOfOffice = OOO_SUBJECT.test(subjectText) || OOO_BODY.test(bodyText);
+    const autoHeader = (autoSubmitted && autoSubmitted !== 'no')
+        || header(headers, 'x-autoreply')
+        || header(headers, 'x-autorespond')
+        || precedence === 'auto_reply'
+        || (/\boof\b/i.test(header(headers, 'x-auto-response-suppress')) && OOO_SUBJECT.test(subjectText));
+
+    if (isOutOfOffice && (autoHeader || OOO_SUBJECT.test(subjectText))) {
+        return result('out_of_office', autoHeader ? 'auto_submitted_header' : 'ooo_subject', {
+            ooo_return_date: extractReturnDate(`${subjectText}\n${bodyText}`, receivedAt)
+        });
+    }
+    if (autoHeader) {
+        return result('auto_reply', 'auto_submitted_header');
+    }
+
+    // Bulk and list mail
+    if (['bulk', 'list', 'junk'].includes(precedence)) {
+        return result('bulk', `precedence_${precedence}`);
+    }
+    if (header(headers, 'list-id')) {
+        return result('bulk', 'list_id');
+    }
+
+    if (NO_REPLY_SENDER.test(sender)) {
+        return result('auto_reply', 'no_reply_sender');
+    }
+    if (AUTO_REPLY_SUBJECT.test(subjectText)) {
+        return result('auto_reply', 'auto_reply_subject');
+    }
+
+    // An OOO notice with no tell-tale headers or subject: short bodies only, so a
+    // lead mentioning their vacation in a real reply still gets answered
+    if (OOO_BODY.test(bodyText) && bodyText.trim().length < 600 && /\b(reply|respond|get back|attention|urgent|contact)\b/i.test(bodyText)) {
+        return result('out_of_office', 'ooo_body', {
+            ooo_return_date: extractReturnDate(bodyText, receivedAt)
+        });
+    }
+
+    return result('human', 'no_automation_signals');
+}
+
+module.exports = { classifyInbound, extractReturnDate, AUTOMATED_EVENT_TYPES };
@@ -0,0 +1,226 @@
+const crypto = require('crypto');
+const { getCollection } = require('./dataStore');
+const { eventStore } = require('./eventStore');
+const { findTrackingId, extractUserIdFromTrackingId } = require('./trackingUtils');
+const { threadFields } = require('./threading');
+const { normalizeEmail } = require('./emailAddress');
+
+/**
+ * Tenant routing for inbound mail
+ * An inbound message belongs to a user's conversation when, in order:
+ *
+ *   1. In-Reply-To/References carry one of our tracking ids
+ *   2. one of those Message-IDs is a message we sent (ai_reply message_id, Mailgun message id)
+ *   3. the recipient address names the user (reply+<usercode>@... or an address
+ *      registered in inbound_routes) and the sender already has a conversation
+ *      with that user under the same normalized subject (replies whose client
+ *      dropped the threading headers)
+ *   4. the recipient address names the user, without such a conversation
+ *
+ * 1-3 continue an existing conversation, 4 starts a new one for the user.
+ * Subject matching never runs without a user from the recipient: a shared
+ * address like replies@ would otherwise match another customer's conversation.
+ * Anything else is parked in unrouted_messages until someone assigns it.
+ */
+
+const ROUTES_COLLECTION = 'inbound_routes';
+const UNROUTED_COLLECTION = 'unrouted_messages';
+
+const ROUTE_FIELDS = ['address', 'user_id', 'created_at'];
+const UNROUTED_FIELDS = [
+    'unrouted_id', 'status', 'received_at', 'from', 'to', 'subject', 'body', 'message_id',
+    'in_reply_to', 'references', 'user_id', 'tracking_id', 'updated_at', 'attachments'
+];
+
+// Plus-addressing: reply+76e84c79@..., replies+76e84c79@...
+const PLUS_ADDRESS = /^[^@+\s]+\+([a-f0-9]{8})@/i;
+
+function routes() {
+    return getCollection(ROUTES_COLLECTION);
+}
+
+function unrouted() {
+    return getCollection(UNROUTED_COLLECTION);
+}
+
+/**
+ * Every bare address in a To/recipient value ("A <a@x>, b@y")
+ */
+function parseAddresses(value) {
+    return String(value || '')
+        .split(',')
+        .map(normalizeEmail)
+        .filter(address => address.includes('@'));
+}
+
+function userCodeFromAddress(address) {
+    const match = String(address || '').match(PLUS_ADDRESS);
+    return match ? match[1].toLowerCase() : null;
+}
+
+function stripId({ id, ...row }) {
+    return row;
+}
+
+// Unrouted rows keep attachments (with their extracted text) as a JSON string
+function toMessage(row) {
+    if (!row) return null;
+    const { id, ...message } = row;
+    return { ...message, attachments: message.attachments ? JSON.parse(message.attachments) : [] };
+}
+
+function toUnroutedRow(message) {
+    return { ...message, attachments: JSON.stringify(message.attachments || []) };
+}
+
+/**
+ * Tracking id of a message we sent, looked up by its Message-ID
+ */
+async function findTrackingIdBySentMessageId(messageIds) {
+    if (!messageIds.length) return null;
+    for (const field of ['message_id', 'mailgun_message_id']) {
+        const { rows } = await eventStore.findEvents(
+            { [field]: messageIds },
+            { fields: ['tracking_id'], limit: 1 }
+        );
+        if (rows.length) return rows[0].tracking_id;
+    }
+    return null;
+}
+
+/**
+ * Latest conversation of this user with this contact under the same normalized subject
+ */
+async function findTrackingIdBySubject(sender, subject, userCode) {
+    const { normalized_subject, contact_email } = threadFields(subject, sender);
+    if (!userCode || !normalized_subject || !contact_email) return null;
+
+    const { rows } = await eventStore.findEvents(
+        {
+            contact_email,
+            normalized_subject,
+            event_type: ['lead_message', 'ai_reply'],
+            tracking_id: { prefix: `tracking-${userCode}_` }
+        },
+        { fields: ['tracking_id', 'timestamp'] }
+    );
+    if (!rows.length) return null;
+    rows.sort((a, b) => (b.timestamp || '').localeCompare(a.timestamp || ''));
+    return rows[0].tracking_id;
+}
+
+/**
+ * User named by the recipient address, via plus-addressing or inbound_routes
+ */
+async function resolveRecipient(recipient) {
+    const addresses = parseAddresses(recipient);
+    for (const address of addresses) {
+        const userCode = userCodeFromAddress(address);
+        if (userCode) return { userCode, method: 'plus_address' };
+    }
+
+    if (addresses.length) {
+        const { rows } = await routes().find({ address: addresses }, { fields: ROUTE_FIELDS, limit: 1 });
+        if (rows.length) return { userCode: rows[0].user_id, method: 'inbound_address' };
+    }
+    return null;
+}
+
+const inboundRouting = {
+    /**
+     * Resolve who an inbound message belongs to.
+     * Returns { trackingId, userCode, method } - trackingId is null for a new
+     * conversation, and both are null when the message can't be routed.
+     */
+    async resolveRoute({ recipient, sender, subject, messageIds = [] }) {
+        for (const messageId of messageIds) {
+            const trackingId = findTrackingId(messageId);
+            if (trackingId) return { trackingId, userCode: extractUserIdFromTrackingId(trackingId), method: 'tracking_id_header' };
+        }
+
+        const sentTrackingId = await findTrackingIdBySentMessageId(messageIds);
+        if (sentTrackingId) {
+            return { trackingId: sentTrackingId, userCode: extractUserIdFromTrackingId(sentTrackingId), method: 'sent_message_id' };
+        }
+
+        const recipientRoute = await resolveRecipient(recipient);
+        if (!recipientRoute) return { trackingId: null, userCode: null, method: 'unrouted' };
+
+        const subjectTrackingId = await findTrackingIdBySubject(sender, subject, recipientRoute.userCode);
+        if (subjectTrackingId) {
+            return { trackingId: subjectTrackingId, userCode: recipientRoute.userCode, method: 'subject_sender' };
+        }
+
+        return { trackingId: null, ...recipientRoute };
+    },
+
+    // === Per-user inbound addresses ===
+
+    async listRoutes(userId) {
+        const { rows } = await routes().find({ user_id: userId }, { fields: ROUTE_FIELDS });
+        return rows.map(stripId);
+    },
+
+    async getRoute(address) {
+        const { rows } = await routes().find({ address: parseAddresses(address)[0] || '' }, { fields: ROUTE_FIELDS, limit: 1 });
+        return rows[0] ? stripId(rows[0]) : null;
+    },
+
+    async addRoute(address, userId) {
+        const row = { address: parseAddresses(address)[0], user_id: userId, created_at: new Date().toISOString() };
+        await routes().delete({ address: row.address });
+        await routes().insert([row]);
+        return row;
+    },
+
+    async removeRoute(address, userId) {
+        await routes().delete({ address: parseAddresses(address)[0] || '', user_id: userId });
+    },
+
+    // === Unrouted queue ===
+
+    async queueUnrouted(emailData) {
+        const now = new Date().toISOString();
+        const row = {
+            unrouted_id: `unrouted-${crypto.randomBytes(12).toString('hex')}`,
+            status: 'unrouted',
+            received_at: now,
+            updated_at: now,
+            from: emailData.from || '',
+            to: emailData.to || '',
+            subject: emailData.subject || '',
+            body: String(emailData.body || '').substring(0, 20000),
+            message_id: emailData.messageId || '',
+            in_reply_to: emailData.inReplyTo || '',
+            references: emailData.references || '',
+            user_id: '',
+            tracking_id: '',
+            attachments: emailData.attachments || []
+        };
+        await unrouted().insert([toUnroutedRow(row)]);
+        return row;
+    },
+
+    async listUnrouted(status = 'unrouted') {
+        const { rows, truncated } = await unrouted().find({ status }, { fields: UNROUTED_FIELDS });
+        return {
+            messages: rows.map(toMessage).sort((a, b) => (b.received_at || '').localeCompare(a.received_at || '')),
+            truncated
+        };
+    },
+
+    async getUnrouted(unroutedId) {
+        const { rows } = await unrouted().find({ unrouted_id: unroutedId }, { fields: UNROUTED_FIELDS, limit: 1 });
+        return toMessage(rows[0]);
+    },
+
+    async updateUnrouted(message, changes) {
+        const updated = { ...message, ...changes, updated_at: new Date().toISOString() };
+        const { rows } = await unrouted().find({ unrouted_id: message.unrouted_id }, { fields: ['unrouted_id'], limit: 1 });
+        if (!rows.length) throw new Error(`Unrouted message ${message.unrouted_id} no longer exists`);
+        await unrouted().upsert([{ ...toUnroutedRow(updated), id: rows[0].id }]);
+        return updated;
+    }
+};
+
+module.exports = { inboundRouting, parseAddresses, userCodeFromAddress, ROUTES_COLLECTION, UNROUTED_COLLECTION };
@@ -0,0 +1,97 @@
+/**
+ * IP address helpers for tracking functions (IPv4 and IPv6)
+ */
+
+function parseIPv4(ip) {
+    const parts = ip.split('.');
+    if (parts.length !== 4) return null;
+
+    let value = 0n;
+    for (const part of parts) {
+        if (!/^\d{1,3}$/.test(part) || Number(part) > 255) return null;
+        value = (value << 8n) + BigInt(part);
+    }
+    return value;
+}
+
+function parseIPv6(ip) {
+    // Drop a zone index (fe80::1%eth0)
+    const address = ip.split('%')[0];
+    const halves = address.split('::');
+    if (halves.length > 2) return null;
+
+    const toGroups = (part) => (part ? part.split(':') : []);
+    const head = toGroups(halves[0]);
+    const tail = halves.length === 2 ? toGroups(halves[1]) : [];
+
+    // Embedded IPv4 suffix (::ffff:1.2.3.4)
+    const last = tail.length ? tail : head;
+    if (last.length && last[last.length - 1].includes('.')) {
+        const v4 = parseIPv4(last.pop());
+        if (v4 === null) return null;
+        last.push((v4 >> 16n).toString(16), (v4 & 0xffffn).toString(16));
+    }
+
+    const missing = 8 - head.length - tail.length;
+    if (halves.length === 1 ? missing !== 0 : missing < 1) return null;
+
+    const groups = [...head, ...Array(halves.length === 2 ? missing : 0).fill('0'), ...tail];
+    let value = 0n;
+    for (const group of groups) {
+        if (!/^[0-9a-f]{1,4}$/i.test(group)) return null;
+        value = (value << 16n) + BigInt(parseInt(group, 16));
+    }
+    return value;
+}
+
+/**
+ * Parse an address into { version, value } or null if it isn't an IP
+ */
+function parseIp(ip) {
+    if (!ip || typeof ip !== 'string') return null;
+    const trimmed = ip.trim().replace(/^\[|\]$/g, '');
+
+    if (trimmed.includes(':')) {
+        const value = parseIPv6(trimmed);
+        if (value === null) return null;
+        // Treat IPv4-mapped IPv6 addresses as IPv4
+        if (value >> 32n === 0xffffn) {
+            return { version: 4, value: value & 0xffffffffn };
+        }
+        return { version: 6, value };
+    }
+
+    const value = parseIPv4(trimmed);
+    return value === null ? null : { version: 4, value };
+}
+
+/**
+ * True if the address falls inside the CIDR block (e.g. "17.0.0.0/8", "2001:4860::/32")
+ */
+function ipInCidr(ip, cidr) {
+    const address = typeof ip === 'string' ? parseIp(ip) : ip;
+    const [rangeIp, prefixText] = cidr.split('/');
+    const range = parseIp(rangeIp);
+    if (!address || !range || address.version !== range.version) return false;
+
+    const bits = address.version === 4 ? 32n : 128n;
+    const prefix = prefixText === undefined ? bits : BigInt(prefixText);
+    const shift = bits - prefix;
+    return (address.value >> shift) === (range.value >> shift);
+}
+
+function ipInAnyCidr(ip, cidrs) {
+    const address = parseIp(ip);
+    return !!address && cidrs.some(cidr => ipInCidr(address, cidr));
+}
+
+/**
+ * First client IP from an x-forwarded-for header ("client, proxy1, proxy2")
+ */
+function firstForwardedIp(forwardedFor) {
+    if (!forwardedFor) return null;
+    const first = String(forwardedFor).split(',')[0].trim();
+    return parseIp(first) ? first.replace(/^\[|\]$/g, '') : null;
+}
+
+module.exports = { parseIp, ipInCidr, ipInAnyCidr, firstForwardedIp };
@@ -0,0 +1,108 @@
+// Knowledge base API - add, list, search and remove a user's knowledge documents (FAQ, pricing, product docs)
+import { requireAuth } from './apiAuth.js';
+import { jsonResponse, readJsonBody, normalizeUserCode, isValidUserCode, invalidUserCodeResponse } from './apiUtils.js';
+import { knowledgeBase, DOC_TYPES } from './knowledgeBase.js';
+import { extractFileText } from './attachmentText.js';
+
+// Uploaded files are decoded in memory
+const MAX_FILE_BYTES = 10 * 1024 * 1024;
+
+// Document text from `content`, or from an uploaded text/PDF/DOCX file (file_base64 + filename)
+function documentText(body) {
+  if (!body.file_base64) return { text: String(body.content || '') };
+
+  const data = Buffer.from(String(body.file_base64), 'base64');
+  if (data.length > MAX_FILE_BYTES) return { error: `file must be at most ${MAX_FILE_BYTES} bytes` };
+  const text = extractFileText({ filename: body.filename, contentType: body.content_type, data });
+  if (text === null) return { error: 'file must be plain text, PDF or DOCX' };
+  return { text };
+}
+
+export const handler = async (event, context) => {
+  const unauthorized = requireAuth(event);
+  if (unauthorized) return unauthorized;
+
+  try {
+    const params = event.queryStringParameters || {};
+    const { body, response: invalidBody } = readJsonBody(event);
+    if (invalidBody) return invalidBody;
+
+    const userCode = normalizeUserCode(params.user_code || body.user_code);
+    if (!isValidUserCode(userCode)) return invalidUserCodeResponse();
+
+    switch (event.httpMethod) {
+      case 'GET': {
+        if (params.q) {
+          const limit = Math.min(parseInt(params.limit, 10) || 4, 20);
+          const results = await knowledgeBase.search(userCode, params.q, { limit });
+          return jsonResponse(200, { success: true, results });
+        }
+        if (params.doc_id) {
+          const document = await knowledgeBase.getDocument(userCode, params.doc_id);
+          return document
+            ? jsonResponse(200, { success: true, document })
+            : jsonResponse(404, { success: false, error: 'Document not found' });
+        }
+        const { documents, truncated } = await knowledgeBase.listDocuments(userCode);
+        return jsonResponse(200, { success: true, truncated, documents });
+      }
+
+      // POST adds a document; PUT with doc_id replaces one
+      case 'POST':
+      case 'PUT': {
+        const title = String(body.title || body.filename || '').trim().substring(0, 200);
+        if (!title) {
+          return jsonResponse(400, { success: false, error: 'title is required' });
+        }
+        const docType = body.doc_type || 'other';
+        if (!DOC_TYPES.includes(docType)) {
+          return jsonResponse(400, { success: false, error: `doc_type must be one of ${DOC_TYPES.join(', ')}` });
+        }
+        const docId = event.httpMethod === 'PUT' ? (params.doc_id || body.doc_id) : undefined;
+        if (event.httpMethod === 'PUT') {
+          if (!docId) {
+            return jsonResponse(400, { success: false, error: 'doc_id is required' });
+          }
+          if (!await knowledgeBase.getDocument(userCode, docId)) {
+            return jsonResponse(404, { success: false, error: 'Document not found' });
+          }
+        }
+
+        const { text, error } = documentText(body);
+        if (error) {
+          return jsonResponse(400, { success: false, error });
+        }
+        if (!text.trim()) {
+          return jsonResponse(400, { success: false, error: 'content is required' });
+        }
+
+        const document = await knowledgeBase.addDocument({
+          userId: userCode,
+          title,
+          content: text,
+          docType,
+          source: String(body.source || body.filename || '').substring(0, 500),
+          docId
+        });
+        return jsonResponse(event.httpMethod === 'POST' ? 201 : 200, { success: true, document });
+      }
+
+      case 'DELETE': {
+        const docId = params.doc_id || body.doc_id;
+        if (!docId) {
+          return jsonResponse(400, { success: false, error: 'doc_id is required' });
+        }
+        await knowledgeBase.deleteDocument(userCode, docId);
+        console.log(`[KNOWLEDGE] Removed ${docId} for user ${userCode}`);
+        return jsonResponse(200, { success: true, removed: docId });
+      }
+
+      default:
+        return jsonResponse(405, { success: false, error: 'Method not allowed' });
+    }
+
+  } catch (error) {
+    console.error('[KNOWLEDGE] Error handling knowledge base request:', error);
+    return jsonResponse(500, { success: false, error: error.message });
+  }
+};
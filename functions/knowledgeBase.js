@@ -0,0 +1,182 @@
+const crypto = require('crypto');
+const { getVectorCollection } = require('./dataStore');
+const { getEmbeddingProvider } = require('./embeddings');
+
+/**
+ * Per-user knowledge base (knowledge_chunks)
+ * Documents (FAQ, pricing notes, product docs) are split into overlapping
+ * chunks, embedded with the configured provider (see embeddings.js) and stored
+ * one row per chunk with a real embedding vector. The agent's
+ * search_knowledge_base tool finds the closest chunks for a question.
+ *
+ * Rows record embedding_model and searches only look at rows from the current
+ * model. Moving to a model with a different dimension needs a fresh
+ * collection (drop knowledge_chunks in Zilliz) and the documents added again.
+ */
+
+const KNOWLEDGE_COLLECTION = 'knowledge_chunks';
+
+const DOC_TYPES = ['faq', 'pricing', 'product', 'other'];
+
+// Target chunk size, and how much of the end of one chunk starts the next
+const CHUNK_CHARS = 1000;
+const CHUNK_OVERLAP_CHARS = 200;
+const MAX_DOCUMENT_CHARS = 200000;
+
+const CHUNK_FIELDS = [
+    'doc_id', 'user_id', 'title', 'doc_type', 'source', 'chunk_index', 'chunk_count', 'text',
+    'embedding_model', 'created_at'
+];
+
+function chunks(provider) {
+    return getVectorCollection(KNOWLEDGE_COLLECTION, { dim: provider.dimension });
+}
+
+/**
+ * Sentences (or hard-split pieces of very long ones), each marking whether it starts a paragraph
+ */
+function textUnits(text, maxChars) {
+    const units = [];
+    const paragraphs = String(text || '').replace(/\r\n?/g, '\n').split(/\n\s*\n/);
+    for (const paragraph of paragraphs) {
+        const clean = paragraph.replace(/[^\S\n]+/g, ' ').trim();
+        if (!clean) continue;
+        const sentences = clean.match(/[^.!?\n]+(?:[.!?]+|\n|$)/g) || [clean];
+        sentences.forEach((sentence, i) => {
+            const trimmed = sentence.trim();
+            for (let start = 0; start < trimmed.length; start += maxChars) {
+                units.push({ text: trimmed.slice(start, start + maxChars), paragraphStart: i === 0 && start === 0 });
+            }
+        });
+    }
+    return units;
+}
+
+function joinUnits(units) {
+    return units.map((unit, i) => (i === 0 ? unit.text : `${unit.paragraphStart ? '\n\n' : ' '}${unit.text}`)).join('');
+}
+
+/**
+ * Split a document into chunks of about maxChars, on sentence boundaries, where
+ * each chunk repeats up to overlapChars of the previous one's closing sentences
+ */
+function chunkText(text, { maxChars = CHUNK_CHARS, overlapChars = CHUNK_OVERLAP_CHARS } = {}) {
+    const result = [];
+    let current = [];
+    let length = 0;
+
+    for (const unit of textUnits(text, maxChars)) {
+        if (current.length && length + unit.text.length + 1 > maxChars) {
+            result.push(joinUnits(current));
+            const carried = [];
+            let carriedLength = 0;
+            for (let i = current.length - 1; i >= 0; i--) {
+                if (carriedLength + current[i].text.length > overlapChars) break;
+                carried.unshift(current[i]);
+                carriedLength += current[i].text.length + 1;
+            }
+            current = carried;
+            length = carriedLength;
+        }
+        current.push(unit);
+        length += unit.text.length + 1;
+    }
+    if (current.length) result.push(joinUnits(current));
+    return result;
+}
+
+function stripRow({ id, embedding, ...row }) {
+    return row;
+}
+
+const knowledgeBase = {
+    /**
+     * Chunk, embed and store a document. Passing docId replaces that document.
+     */
+    async addDocument({ userId, title, content, docType = 'other', source = '', docId }) {
+        const text = String(content || '').substring(0, MAX_DOCUMENT_CHARS);
+        const pieces = chunkText(text);
+        if (!pieces.length) throw new Error('Document has no text');
+
+        const provider = getEmbeddingProvider();
+        const vectors = await provider.embed(pieces.map(piece => `${title}\n\n${piece}`));
+
+        const id = docId || `doc-${crypto.randomBytes(12).toString('hex')}`;
+        const createdAt = new Date().toISOString();
+        const rows = pieces.map((piece, i) => ({
+            doc_id: id,
+            user_id: userId,
+            title,
+            doc_type: docType,
+            source: source || '',
+            chunk_index: i,
+            chunk_count: pieces.length,
+            text: piece,
+            embedding_model: provider.model,
+            created_at: createdAt,
+            embedding: vectors[i]
+        }));
+
+        if (docId) await chunks(provider).delete({ doc_id: docId, user_id: userId });
+        await chunks(provider).insert(rows);
+        console.log(`[KNOWLEDGE] Stored ${title} for ${userId} as ${rows.length} chunks (${provider.model})`);
+
+        return {
+            doc_id: id,
+            title,
+            doc_type: docType,
+            source: source || '',
+            chunk_count: rows.length,
+            characters: text.length,
+            embedding_model: provider.model,
+            created_at: createdAt
+        };
+    },
+
+    /**
+     * A user's documents (one entry per document, from its first chunk), newest first
+     */
+    async listDocuments(userId) {
+        const provider = getEmbeddingProvider();
+        const { rows, truncated } = await chunks(provider).find(
+            { user_id: userId, chunk_index: 0 },
+            { fields: CHUNK_FIELDS.filter(field => field !== 'text') }
+        );
+        return {
+            documents: rows.map(stripRow).sort((a, b) => (b.created_at || '').localeCompare(a.created_at || '')),
+            truncated
+        };
+    },
+
+    async getDocument(userId, docId) {
+        const provider = getEmbeddingProvider();
+        const { rows } = await chunks(provider).find({ user_id: userId, doc_id: docId }, { fields: CHUNK_FIELDS });
+        if (!rows.length) return null;
+        const ordered = rows.map(stripRow).sort((a, b) => a.chunk_index - b.chunk_index);
+        const { text, chunk_index, ...document } = ordered[0];
+        return { ...document, chunks: ordered.map(row => row.text) };
+    },
+
+    async deleteDocument(userId, docId) {
+        await chunks(getEmbeddingProvider()).delete({ user_id: userId, doc_id: docId });
+    },
+
+    /**
+     * The user's chunks closest to a question, best first, each with a similarity score.
+     * Chunks scoring at or below minScore (unrelated text) are left out.
+     */
+    async search(userId, query, { limit = 4, minScore = 0 } = {}) {
+        const provider = getEmbeddingProvider();
+        const [vector] = await provider.embed([String(query)]);
+        const results = await chunks(provider).search(vector, {
+            criteria: { user_id: userId, embedding_model: provider.model },
+            fields: CHUNK_FIELDS,
+            limit
+        });
+        return results
+            .filter(result => result.score > minScore)
+            .map(({ score, ...row }) => ({ ...stripRow(row), score: Math.round(score * 1000) / 1000 }));
+    }
+};
+
+module.exports = { knowledgeBase, chunkText, DOC_TYPES, KNOWLEDGE_COLLECTION };
@@ -0,0 +1,149 @@
+// Mailgun event webhook - records delivery, bounce, complaint and unsubscribe events per tracking id
+import { verifyMailgunSignature } from './mailgunSignature.js';
+import { findTrackingId, extractUserIdFromTrackingId } from './trackingUtils.js';
+import { eventStore } from './eventStore.js';
+import { suppressionStore, SUPPRESSING_EVENTS } from './suppressionStore.js';
+
+// Mailgun event (and failure severity) -> our event_type
+function mapEventType(eventData) {
+  switch (eventData.event) {
+    case 'delivered':
+      return 'email_delivered';
+    case 'failed':
+      return eventData.severity === 'temporary' ? 'email_deferred' : 'email_bounced';
+    case 'complained':
+      return 'spam_complaint';
+    case 'unsubscribed':
+      return 'email_unsubscribed';
+    default:
+      return null;
+  }
+}
+
+function parseEventPayload(event) {
+  const body = event.isBase64Encoded
+    ? Buffer.from(event.body, 'base64').toString()
+    : event.body;
+  return JSON.parse(body || '{}');
+}
+
+// Tracking id from our custom variable, or from the Message-ID of the mail the event is about
+function resolveTrackingId(eventData) {
+  const userVariables = eventData['user-variables'] || {};
+  return userVariables.tracking_id
+    || findTrackingId(eventData.message?.headers?.['message-id'])
+    || null;
+}
+
+function describeEvent(eventType, eventData) {
+  const status = eventData['delivery-status'] || {};
+  const detail = status.description || status.message || eventData.reason || '';
+  switch (eventType) {
+    case 'email_delivered':
+      return `Delivered to ${eventData.recipient}`;
+    case 'email_bounced':
+      return `Permanent failure for ${eventData.recipient}${detail ? `: ${detail}` : ''}`;
+    case 'email_deferred':
+      return `Temporary failure for ${eventData.recipient}${detail ? `: ${detail}` : ''}`;
+    case 'spam_complaint':
+      return `${eventData.recipient} marked the message as spam`;
+    case 'email_unsubscribed':
+      return `${eventData.recipient} unsubscribed`;
+    default:
+      return eventType;
+  }
+}
+
+export async function handler(event) {
+  try {
+    let payload;
+    try {
+      payload = parseEventPayload(event);
+    } catch (error) {
+      return { statusCode: 400, body: JSON.stringify({ success: false, error: 'Invalid JSON' }) };
+    }
+
+    const verification = await verifyMailgunSignature(payload.signature);
+    if (!verification.valid) {
+      console.warn(`[EVENTS] Rejected unsigned or invalid request: ${verification.reason}`);
+      return {
+        statusCode: 401,
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ success: false, error: 'Invalid webhook signature' })
+      };
+    }
+
+    const eventData = payload['event-data'] || {};
+    const eventType = mapEventType(eventData);
+    if (!eventType) {
+      console.log(`[EVENTS] Ignoring Mailgun event: ${eventData.event}`);
+      return { statusCode: 200, body: JSON.stringify({ success: true, ignored: true }) };
+    }
+
+    const trackingId = resolveTrackingId(eventData);
+    if (!trackingId) {
+      console.log(`[EVENTS] No tracking id for ${eventData.event} event ${eventData.id}`);
+      return { statusCode: 200, body: JSON.stringify({ success: true, ignored: true, reason: 'no_tracking_id' }) };
+    }
+
+    // Mailgun retries until it gets a 2xx, so skip events we already stored
+    const existing = await eventStore.findEvents({ mailgun_event_id: eventData.id }, { fields: ['tracking_id'], limit: 1 });
+    if (existing.rows.length > 0) {
+      console.log(`[EVENTS] Event ${eventData.id} already recorded`);
+      return { statusCode: 200, body: JSON.stringify({ success: true, deduped: true }) };
+    }
+
+    const status = eventData['delivery-status'] || {};
+    const timestamp = eventData.timestamp
+      ? new Date(eventData.timestamp * 1000).toISOString()
+      : new Date().toISOString();
+
+    await eventStore.insertEvents([{
+      tracking_id: trackingId,
+      event_type: eventType,
+      timestamp,
+      event_content: describeEvent(eventType, eventData),
+      user_agent: '',
+      ip_address: '',
+      email_address: eventData.envelope?.sender || '',
+      recipient: eventData.recipient || '',
+      processed: false,
+      mailgun_event_id: eventData.id || '',
+      mailgun_message_id: eventData.message?.headers?.['message-id'] || '',
+      severity: eventData.severity || '',
+      reason: eventData.reason || '',
+      delivery_code: status.code ?? '',
+      delivery_message: status.description || status.message || ''
+    }]);
+
+    console.log(`[EVENTS] Recorded ${eventType} for ${trackingId}`);
+
+    // Hard bounces, complaints and unsubscribes stop the user's agent mailing this address again
+    const suppressionReason = SUPPRESSING_EVENTS[eventType];
+    const userId = extractUserIdFromTrackingId(trackingId);
+    if (suppressionReason && userId && eventData.recipient) {
+      await suppressionStore.addSuppression({
+        userId,
+        email: eventData.recipient,
+        reason: suppressionReason,
+        source: 'mailgun',
+        trackingId
+      });
+      console.log(`[EVENTS] Suppressed ${eventData.recipient} for user ${userId} (${suppressionReason})`);
+    }
+
+    return {
+      statusCode: 200,
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ success: true, tracking_id: trackingId, event_type: eventType })
+    };
+
+  } catch (error) {
+    console.error('[EVENTS] Error recording Mailgun event:', error);
+    return {
+      statusCode: 500,
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ success: false, error: error.message })
+    };
+  }
+}
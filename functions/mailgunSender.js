@@ -0,0 +1,110 @@
+const crypto = require('crypto');
+const { buildUnsubscribeUrl } = require('./trackingLinks');
+const { normalizeEmail } = require('./emailAddress');
+const { formatMessageIds, buildReferences } = require('./threading');
+const { buildReplyContent } = require('./replyTemplates');
+const { eventStore } = require('./eventStore');
+
+/**
+ * Outgoing replies through the Mailgun API
+ * Shared by the agent's send_email tool and by draft approval, so both send
+ * with the same From, Message-ID format, threading/unsubscribe headers and
+ * text/HTML rendering (see replyTemplates). Every accepted send is recorded as
+ * an email_sent event, which engagement analytics counts as a send.
+ */
+
+const MAILGUN_DOMAIN = 'mg.examarkchat.com';
+const REPLY_FROM = `ExaMark <replies@${MAILGUN_DOMAIN}>`;
+const REPLY_ADDRESS = `replies@${MAILGUN_DOMAIN}`;
+
+/**
+ * Record an accepted send. The mail is already out, so a failure here is logged, not thrown.
+ */
+async function recordSent({ to, subject, trackingId, messageId, mailgunId }) {
+    try {
+        await eventStore.insertEvents([{
+            tracking_id: trackingId,
+            event_type: 'email_sent',
+            timestamp: new Date().toISOString(),
+            event_content: `Sent "${subject}" to ${to}`,
+            user_agent: '',
+            ip_address: '',
+            email_address: REPLY_ADDRESS,
+            recipient: to,
+            processed: true,
+            message_id: messageId,
+            mailgun_id: mailgunId || ''
+        }]);
+    } catch (error) {
+        console.error(`[MAILGUN] Failed to record email_sent for ${messageId}:`, error);
+    }
+}
+
+/**
+ * Send a reply and record it as an email_sent event. body is plain text; the
+ * HTML part is rendered from it. inReplyTo and references take bare or
+ * <bracketed> ids, one or many.
+ * Returns { messageId, mailgunId }; throws on any Mailgun error, or before
+ * sending when MAILGUN_API_KEY or CLICK_SIGNING_SECRET is missing.
+ */
+async function sendReply({ to, subject, body, inReplyTo, references, trackingId }) {
+    console.log(`[MAILGUN] Sending email to: ${to}`);
+    console.log(`[MAILGUN] API key available: ${!!process.env.MAILGUN_API_KEY}`);
+
+    if (!process.env.MAILGUN_API_KEY) {
+        throw new Error('MAILGUN_API_KEY environment variable not set');
+    }
+    // Every reply carries a signed List-Unsubscribe link, so never send one without the key
+    if (!(process.env.CLICK_SIGNING_SECRET || '').trim()) {
+        throw new Error('CLICK_SIGNING_SECRET environment variable not set');
+    }
+
+    const auth = Buffer.from(`api:${process.env.MAILGUN_API_KEY}`).toString('base64');
+
+    // Generate new message ID for this reply
+    const timestamp = Date.now();
+    const hash = crypto.randomBytes(4).toString('hex');
+    const messageId = `ai-response-${trackingId}-${timestamp}-${hash}@${MAILGUN_DOMAIN}`;
+
+    // Plain-text body -> multipart text/HTML with template, signature, quote and tracking
+    const { text, html } = await buildReplyContent({ body, trackingId, inReplyTo });
+
+    const formData = new URLSearchParams({
+        from: REPLY_FROM,
+        to: to,
+        subject: subject,
+        text,
+        html,
+        'h:Message-ID': `<${messageId}>`,
+        'h:In-Reply-To': formatMessageIds(inReplyTo),
+        // The whole chain, ending with the message we reply to
+        'h:References': buildReferences(references, inReplyTo)
+    });
+
+    // RFC 8058 one-click unsubscribe (required by Gmail/Yahoo bulk-sender rules)
+    formData.append('h:List-Unsubscribe', `<${buildUnsubscribeUrl(trackingId, normalizeEmail(to))}>`);
+    formData.append('h:List-Unsubscribe-Post', 'List-Unsubscribe=One-Click');
+
+    const response = await fetch(`https://api.mailgun.net/v3/${MAILGUN_DOMAIN}/messages`, {
+        method: 'POST',
+        headers: {
+            'Authorization': `Basic ${auth}`,
+            'Content-Type': 'application/x-www-form-urlencoded'
+        },
+        body: formData
+    });
+
+    const result = await response.json();
+    console.log(`[MAILGUN] Response status: ${response.status}`);
+    console.log(`[MAILGUN] Response:`, result);
+
+    if (!response.ok) {
+        throw new Error(`Mailgun send failed: ${result.message || JSON.stringify(result)}`);
+    }
+
+    console.log(`[MAILGUN] Email sent successfully: ${messageId}`);
+    await recordSent({ to, subject, trackingId, messageId, mailgunId: result.id });
+    return { messageId, mailgunId: result.id };
+}
+
+module.exports = { sendReply, MAILGUN_DOMAIN, REPLY_ADDRESS };
@@ -0,0 +1,104 @@
+const crypto = require('crypto');
+const { claimStore } = require('./claimStore');
+
+/**
+ * Mailgun webhook signature checks
+ * Mailgun signs every webhook with HMAC-SHA256(timestamp + token) using the
+ * domain's HTTP webhook signing key. A request is accepted when the signature
+ * matches, its timestamp is within MAILGUN_SIGNATURE_MAX_AGE seconds (default
+ * 300) and its token hasn't been seen before. Seen tokens are claimed in
+ * claimStore (mailgun_token:<token>) until their timestamp would be too old
+ * anyway, so a replay is caught on any instance and after a cold start.
+ *
+ * Mailgun retries a delivery with the original timestamp and token for about
+ * 8 hours. The signature only covers timestamp + token, not the body, so age
+ * and replay are never waived on the caller's say-so: a request that is
+ * correctly signed but stale or replayed comes back with signatureValid, and
+ * the inbound webhook accepts it only when isRetryOfFailedDelivery() finds
+ * that exact token saved on the message's failed idempotency record. Any
+ * other request outside the max age - a retry of an event webhook, or of a
+ * run that never recorded its failure - is rejected, so raise
+ * MAILGUN_SIGNATURE_MAX_AGE to accept longer retries.
+ */
+
+const DEFAULT_MAX_AGE_SECONDS = 5 * 60;
+
+function getSigningKey() {
+    return (process.env.MAILGUN_WEBHOOK_SIGNING_KEY || '').trim();
+}
+
+function getMaxAgeSeconds() {
+    const configured = parseInt(process.env.MAILGUN_SIGNATURE_MAX_AGE, 10);
+    return Number.isFinite(configured) && configured > 0 ? configured : DEFAULT_MAX_AGE_SECONDS;
+}
+
+/**
+ * Record a token as used until its timestamp is too old. Returns false when it was used before.
+ */
+async function recordToken(token, timestampSeconds, maxAge) {
+    const { claimed } = await claimStore.claim(`mailgun_token:${token}`, {
+        expiresAt: new Date((timestampSeconds + maxAge) * 1000).toISOString()
+    });
+    return claimed;
+}
+
+/**
+ * Compute the hex signature Mailgun would send for a timestamp/token pair
+ */
+function signMailgunPayload(timestamp, token, signingKey = getSigningKey()) {
+    return crypto
+        .createHmac('sha256', signingKey)
+        .update(`${timestamp}${token}`)
+        .digest('hex');
+}
+
+/**
+ * Verify a Mailgun webhook signature, its age and that the token is not replayed.
+ * Resolves to { valid: true } or { valid: false, reason }, with signatureValid
+ * set when only the age or replay check failed.
+ */
+async function verifyMailgunSignature({ timestamp, token, signature } = {}, options = {}) {
+    const signingKey = options.signingKey ?? getSigningKey();
+    const maxAge = options.maxAgeSeconds ?? getMaxAgeSeconds();
+    const nowSeconds = Math.floor((options.now ?? Date.now()) / 1000);
+
+    if (!signingKey) {
+        return { valid: false, reason: 'signing_key_not_configured' };
+    }
+
+    if (!timestamp || !token || !signature) {
+        return { valid: false, reason: 'missing_signature_fields' };
+    }
+
+    const expected = Buffer.from(signMailgunPayload(timestamp, token, signingKey), 'hex');
+    const provided = Buffer.from(String(signature), 'hex');
+    if (expected.length !== provided.length || !crypto.timingSafeEqual(expected, provided)) {
+        return { valid: false, reason: 'signature_mismatch' };
+    }
+
+    const timestampSeconds = parseInt(timestamp, 10);
+    if (!Number.isFinite(timestampSeconds) || Math.abs(nowSeconds - timestampSeconds) > maxAge) {
+        return { valid: false, reason: 'stale_timestamp', signatureValid: true };
+    }
+
+    if (!(await recordToken(String(token), timestampSeconds, maxAge))) {
+        return { valid: false, reason: 'replayed_token', signatureValid: true };
+    }
+
+    return { valid: true };
+}
+
+/**
+ * Whether signed fields are Mailgun's retry of a delivery that failed: the
+ * idempotency record (see idempotencyStore) is failed and saved this exact
+ * timestamp and token when the delivery was first claimed
+ */
+function isRetryOfFailedDelivery({ timestamp, token } = {}, record) {
+    return Boolean(
+        record?.state === 'failed' &&
+        token && record.mailgun_token === String(token) &&
+        timestamp && record.mailgun_timestamp === String(timestamp)
+    );
+}
+
+module.exports = { verifyMailgunSignature, isRetryOfFailedDelivery, signMailgunPayload };
@@ -0,0 +1,88 @@
+/**
+ * Minimal multipart/form-data parser
+ * Mailgun forwards inbound mail with attachments as multipart/form-data
+ * (attachment-1, attachment-2, ... file parts next to the usual fields).
+ * Returns { fields, files }; files are { field, filename, contentType, data }.
+ */
+
+function getBoundary(contentType) {
+    const match = String(contentType || '').match(/boundary=(?:"([^"]+)"|([^;\s]+))/i);
+    return match ? (match[1] || match[2]) : null;
+}
+
+function parsePartHeaders(text) {
+    const headers = {};
+    for (const line of text.split('\r\n')) {
+        const separator = line.indexOf(':');
+        if (separator > 0) {
+            headers[line.slice(0, separator).trim().toLowerCase()] = line.slice(separator + 1).trim();
+        }
+    }
+    return headers;
+}
+
+// name="..." / filename="..." (or RFC 5987 filename*=UTF-8''...) from Content-Disposition
+function dispositionParam(disposition, param) {
+    const extended = disposition.match(new RegExp(`;\\s*${param}\\*=(?:UTF-8|utf-8)''([^;]+)`));
+    if (extended) {
+        try {
+            return decodeURIComponent(extended[1]);
+        } catch (error) {
+            return extended[1];
+        }
+    }
+    const match = disposition.match(new RegExp(`;\\s*${param}=(?:"((?:[^"\\\\]|\\\\.)*)"|([^;]+))`));
+    if (!match) return null;
+    return match[1] !== undefined ? match[1].replace(/\\(.)/g, '$1') : match[2].trim();
+}
+
+function isMultipart(contentType) {
+    return /^multipart\/form-data/i.test(String(contentType || ''));
+}
+
+function parseMultipartForm(body, contentType) {
+    const boundary = getBoundary(contentType);
+    if (!boundary) throw new Error('multipart/form-data without a boundary');
+
+    const buffer = Buffer.isBuffer(body) ? body : Buffer.from(body || '', 'binary');
+    const delimiter = Buffer.from(`--${boundary}`);
+    const fields = {};
+    const files = [];
+
+    let start = buffer.indexOf(delimiter);
+    while (start !== -1) {
+        const partStart = start + delimiter.length;
+        // "--" after the delimiter closes the body
+        if (buffer.slice(partStart, partStart + 2).toString() === '--') break;
+
+        const next = buffer.indexOf(delimiter, partStart);
+        if (next === -1) break;
+
+        // Each part is CRLF, headers, CRLF CRLF, content, CRLF before the next delimiter
+        const part = buffer.slice(partStart + 2, next - 2);
+        const headerEnd = part.indexOf('\r\n\r\n');
+        if (headerEnd !== -1) {
+            const headers = parsePartHeaders(part.slice(0, headerEnd).toString('utf8'));
+            const content = part.slice(headerEnd + 4);
+            const disposition = headers['content-disposition'] || '';
+            const name = dispositionParam(disposition, 'name');
+            const filename = dispositionParam(disposition, 'filename');
+
+            if (filename !== null) {
+                files.push({
+                    field: name,
+                    filename,
+                    contentType: (headers['content-type'] || 'application/octet-stream').split(';')[0].trim().toLowerCase(),
+                    data: content
+                });
+            } else if (name !== null) {
+                fields[name] = content.toString('utf8');
+            }
+        }
+        start = next;
+    }
+
+    return { fields, files };
+}
+
+module.exports = { parseMultipartForm, isMultipart, getBoundary };
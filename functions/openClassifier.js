@@ -0,0 +1,88 @@
+const { ipInAnyCidr } = require('./ipUtils');
+
+/**
+ * Open classification for the tracking pixel
+ * Every open is labelled 'human', 'proxy_prefetch' or 'bot' so reports can
+ * leave out opens that mail providers generate on the reader's behalf.
+ */
+
+// Most to least trusted; a set of opens counts as the first class it contains
+const OPEN_CLASSES = ['human', 'proxy_prefetch', 'bot'];
+
+// Image proxies that fetch the pixel themselves, matched by user agent or egress ranges
+const PROXY_SIGNATURES = [
+    {
+        source: 'apple_mpp',
+        // Mail Privacy Protection sends a bare "Mozilla/5.0" from Apple's network
+        userAgent: /^Mozilla\/5\.0$/,
+        cidrs: ['17.0.0.0/8']
+    },
+    {
+        source: 'gmail_image_proxy',
+        userAgent: /GoogleImageProxy|ggpht\.com/i,
+        cidrs: [
+            '64.233.160.0/19', '66.102.0.0/20', '66.249.80.0/20', '72.14.192.0/18',
+            '74.125.0.0/16', '209.85.128.0/17', '2001:4860:4000::/36'
+        ]
+    },
+    {
+        source: 'outlook_image_proxy',
+        userAgent: null,
+        cidrs: ['40.92.0.0/15', '40.107.0.0/16', '52.100.0.0/14', '104.47.0.0/17']
+    },
+    {
+        source: 'yahoo_image_proxy',
+        userAgent: /YahooMailProxy/i,
+        cidrs: []
+    }
+];
+
+const BOT_USER_AGENT = /bot\b|bot\/|crawler|spider|facebookexternalhit|slurp|preview|headless|phantomjs|curl\/|wget\/|python-requests|go-http-client|okhttp|java\//i;
+
+// Opens this soon after sending are almost always a provider prefetch
+const DEFAULT_PREFETCH_WINDOW_SECONDS = 60;
+
+function matchProxy(userAgent, ipAddress) {
+    for (const proxy of PROXY_SIGNATURES) {
+        if (proxy.userAgent && proxy.userAgent.test(userAgent)) {
+            return { source: proxy.source, reason: 'user_agent' };
+        }
+        if (proxy.cidrs.length && ipAddress && ipInAnyCidr(ipAddress, proxy.cidrs)) {
+            return { source: proxy.source, reason: 'ip_range' };
+        }
+    }
+    return null;
+}
+
+/**
+ * Classify a single pixel fetch.
+ * Returns { classification, reason, proxy_source }.
+ */
+function classifyOpen({ userAgent, ipAddress, sentAt, openedAt = new Date() } = {}) {
+    const ua = (userAgent || '').trim();
+
+    if (!ua || ua === 'Unknown') {
+        return { classification: 'bot', reason: 'missing_user_agent', proxy_source: null };
+    }
+
+    if (BOT_USER_AGENT.test(ua)) {
+        return { classification: 'bot', reason: 'bot_user_agent', proxy_source: null };
+    }
+
+    const proxy = matchProxy(ua, ipAddress);
+    if (proxy) {
+        return { classification: 'proxy_prefetch', reason: proxy.reason, proxy_source: proxy.source };
+    }
+
+    if (sentAt) {
+        const windowSeconds = parseInt(process.env.OPEN_PREFETCH_WINDOW_SECONDS, 10) || DEFAULT_PREFETCH_WINDOW_SECONDS;
+        const secondsSinceSend = (new Date(openedAt).getTime() - new Date(sentAt).getTime()) / 1000;
+        if (secondsSinceSend >= 0 && secondsSinceSend < windowSeconds) {
+            return { classification: 'proxy_prefetch', reason: 'opened_immediately_after_send', proxy_source: null };
+        }
+    }
+
+    return { classification: 'human', reason: 'no_machine_signals', proxy_source: null };
+}
+
+module.exports = { classifyOpen, OPEN_CLASSES };
@@ -0,0 +1,240 @@
+const { settingsStore } = require('./settingsStore');
+const { agentJobs } = require('./agentJobs');
+const { extractUserIdFromTrackingId } = require('./trackingUtils');
+const { parseMessageIds } = require('./threading');
+const { escapeHtml } = require('./htmlEscape');
+const {
+    buildClickTrackingUrl,
+    buildPixelUrl,
+    getTrackingBaseUrl,
+    parseDestination
+} = require('./trackingLinks');
+
+/**
+ * Reply rendering: the agent (or a draft reviewer) writes a plain-text body and
+ * every outgoing reply is turned into a text and an HTML part from the user's
+ * templates in Email Response Settings:
+ *
+ *   reply_template_html / reply_template_text   layout, with {{body}}, {{signature}} and {{quote}}
+ *                                               ({{company_name}}, {{ai_assistant_name}} and
+ *                                               {{product_name}} are filled from settings too)
+ *   email_signature                              plain-text signature block
+ *   email_signature_html                         optional HTML version of the signature
+ *
+ * The lead's message is quoted below as "On <date>, <sender> wrote:". The HTML
+ * part gets the open-tracking pixel and every http(s) link in it is rewritten
+ * to a signed /track/click link; the text part keeps the original URLs.
+ */
+
+const DEFAULT_TEXT_TEMPLATE = '{{body}}\n\n{{signature}}\n\n{{quote}}';
+
+const DEFAULT_HTML_TEMPLATE = `<!DOCTYPE html>
+<html>
+<body style="margin:0;padding:0;">
+<div style="font-family:Arial,Helvetica,sans-serif;font-size:14px;line-height:1.5;color:#222;">
+{{body}}
+{{signature}}
+{{quote}}
+</div>
+</body>
+</html>`;
+
+// Keep very long threads from bloating every reply
+const MAX_QUOTED_CHARS = 10000;
+
+// Values the templates may reference besides body/signature/quote
+const SETTING_PLACEHOLDERS = ['company_name', 'ai_assistant_name', 'product_name'];
+
+const URL_PATTERN = /https?:\/\/[^\s<>"]+/g;
+
+function unescapeHtml(text) {
+    return String(text)
+        .replace(/&quot;/g, '"')
+        .replace(/&#39;/g, "'")
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&amp;/g, '&');
+}
+
+/**
+ * One line of plain text as HTML, with bare URLs turned into links
+ */
+function lineToHtml(line) {
+    let html = '';
+    let last = 0;
+    for (const match of line.matchAll(URL_PATTERN)) {
+        // Sentence punctuation after a URL is not part of it
+        const url = match[0].replace(/[.,;:!?)\]]+$/, '');
+        html += escapeHtml(line.slice(last, match.index));
+        html += `<a href="${escapeHtml(url)}">${escapeHtml(url)}</a>`;
+        last = match.index + url.length;
+    }
+    return html + escapeHtml(line.slice(last));
+}
+
+/**
+ * Plain text as HTML paragraphs: blank lines split paragraphs, single newlines become <br>
+ */
+function textToHtml(text) {
+    return String(text || '')
+        .replace(/\r\n/g, '\n')
+        .split(/\n{2,}/)
+        .map(paragraph => paragraph.trim())
+        .filter(Boolean)
+        .map(paragraph => `<p style="margin:0 0 1em 0;">${paragraph.split('\n').map(lineToHtml).join('<br>\n')}</p>`)
+        .join('\n');
+}
+
+function fillTemplate(template, values) {
+    return String(template).replace(/\{\{\s*(\w+)\s*\}\}/g, (placeholder, name) => (
+        Object.prototype.hasOwnProperty.call(values, name) ? values[name] : ''
+    ));
+}
+
+/**
+ * "Mon, Oct 19, 2026, 3:04 PM PDT" in the user's timezone (UTC if it's missing or unknown)
+ */
+function formatQuoteDate(date, timeZone) {
+    const options = {
+        weekday: 'short', year: 'numeric', month: 'short', day: 'numeric',
+        hour: 'numeric', minute: '2-digit', timeZoneName: 'short'
+    };
+    try {
+        return date.toLocaleString('en-US', { ...options, timeZone: timeZone || 'UTC' });
+    } catch (error) {
+        return date.toLocaleString('en-US', { ...options, timeZone: 'UTC' });
+    }
+}
+
+function quoteHeader(quoted, timeZone) {
+    const date = new Date(quoted.date);
+    const when = Number.isNaN(date.getTime()) ? null : formatQuoteDate(date, timeZone);
+    return when ? `On ${when}, ${quoted.from} wrote:` : `${quoted.from} wrote:`;
+}
+
+function renderQuoteText(quoted, timeZone) {
+    const lines = String(quoted.body).replace(/\r\n/g, '\n').trimEnd().split('\n');
+    return `${quoteHeader(quoted, timeZone)}\n${lines.map(line => (line ? `> ${line}` : '>')).join('\n')}`;
+}
+
+function renderQuoteHtml(quoted, timeZone) {
+    return `<div style="margin-top:1.5em;color:#555;">
+<div>${escapeHtml(quoteHeader(quoted, timeZone))}</div>
+<blockquote style="margin:0 0 0 0.8ex;border-left:1px solid #ccc;padding-left:1ex;">
+${textToHtml(quoted.body)}
+</blockquote>
+</div>`;
+}
+
+/**
+ * Route every http(s) link through signed click tracking, except our own
+ * tracking/unsubscribe endpoints. Needs CLICK_SIGNING_SECRET and a base URL.
+ */
+function trackLinks(html, trackingId) {
+    const baseUrl = getTrackingBaseUrl();
+    if (!trackingId || !baseUrl || !process.env.CLICK_SIGNING_SECRET) return html;
+
+    return html.replace(/href=(["'])(https?:\/\/[^"']+)\1/gi, (attribute, quote, href) => {
+        const url = unescapeHtml(href);
+        if (url.startsWith(`${baseUrl}/`) || !parseDestination(url)) return attribute;
+        return `href=${quote}${escapeHtml(buildClickTrackingUrl(trackingId, url))}${quote}`;
+    });
+}
+
+/**
+ * Append the open-tracking pixel just before </body> (or at the end)
+ */
+function addTrackingPixel(html, trackingId) {
+    if (!trackingId || !getTrackingBaseUrl()) return html;
+
+    const pixel = `<img src="${escapeHtml(buildPixelUrl(trackingId))}" width="1" height="1" alt="" style="display:block;width:1px;height:1px;border:0;">`;
+    return /<\/body>/i.test(html) ? html.replace(/<\/body>/i, `${pixel}\n</body>`) : `${html}\n${pixel}`;
+}
+
+/**
+ * Render a reply body into { text, html }.
+ * quoted is { from, date, body } for the message being answered, or null.
+ */
+function renderReply({ body, settings = {}, quoted = null, trackingId }) {
+    const values = {};
+    for (const name of SETTING_PLACEHOLDERS) {
+        values[name] = settings[name] ? String(settings[name]) : '';
+    }
+    const hasQuote = Boolean(quoted && quoted.body && String(quoted.body).trim());
+    const quotedMessage = hasQuote
+        ? { ...quoted, body: String(quoted.body).substring(0, MAX_QUOTED_CHARS) }
+        : null;
+
+    const signatureText = String(settings.email_signature || '').trim();
+    const text = fillTemplate(settings.reply_template_text || DEFAULT_TEXT_TEMPLATE, {
+        ...values,
+        body: String(body || '').trim(),
+        signature: signatureText ? `-- \n${signatureText}` : '',
+        quote: quotedMessage ? renderQuoteText(quotedMessage, settings.timezone) : ''
+    })
+        .replace(/\n{3,}/g, '\n\n')
+        .trim();
+
+    // Settings values are escaped in HTML; body, signature and quote are already HTML here
+    const htmlValues = Object.fromEntries(Object.entries(values).map(([name, value]) => [name, escapeHtml(value)]));
+    const signatureHtml = settings.email_signature_html
+        ? String(settings.email_signature_html)
+        : textToHtml(signatureText);
+    let html = fillTemplate(settings.reply_template_html || DEFAULT_HTML_TEMPLATE, {
+        ...htmlValues,
+        body: textToHtml(body),
+        signature: signatureHtml ? `<div style="margin-top:1em;">${signatureHtml}</div>` : '',
+        quote: quotedMessage ? renderQuoteHtml(quotedMessage, settings.timezone) : ''
+    });
+    html = addTrackingPixel(trackLinks(html, trackingId), trackingId);
+
+    return { text, html };
+}
+
+/**
+ * The lead message a reply answers, from the agent job that processed it
+ */
+async function findQuotedMessage(trackingId, inReplyTo) {
+    const messageId = parseMessageIds(inReplyTo)[0];
+    const job = await agentJobs.findJobByMessageId(trackingId, messageId);
+    const emailData = job?.payload?.emailData;
+    if (!emailData) return null;
+    return {
+        from: emailData.from,
+        date: emailData.receivedAt || job.created_at,
+        body: emailData.body
+    };
+}
+
+/**
+ * Render a reply for a conversation with the user's settings and the quoted lead message.
+ * Lookups failing never block the send - the reply falls back to the default template.
+ */
+async function buildReplyContent({ body, trackingId, inReplyTo }) {
+    let settings = {};
+    let quoted = null;
+
+    try {
+        const userId = extractUserIdFromTrackingId(trackingId);
+        const stored = userId ? await settingsStore.getSettings(userId) : null;
+        settings = stored?.value || {};
+    } catch (error) {
+        console.error('[REPLY] Settings lookup failed, using the default template:', error.message);
+    }
+
+    try {
+        quoted = await findQuotedMessage(trackingId, inReplyTo);
+    } catch (error) {
+        console.error('[REPLY] Quoted message lookup failed, sending without quote:', error.message);
+    }
+
+    return renderReply({ body, settings, quoted, trackingId });
+}
+
+module.exports = {
+    renderReply,
+    buildReplyContent,
+    textToHtml,
+    DEFAULT_TEXT_TEMPLATE,
+    DEFAULT_HTML_TEMPLATE
+};
@@ -0,0 +1,163 @@
+const { z } = require('zod');
+const { isValidTimeZone } = require('./timezone');
+
+/**
+ * Schema for Email Response Settings (agent_settings, email_response_settings)
+ * The settings API validates every save against it. Unknown keys are rejected
+ * so a typo can't silently leave a setting at its old value.
+ *
+ * Settings saved before the schema existed may carry keys it doesn't know or
+ * lack a required field. They still load (resolveSettings fills defaults); to
+ * migrate them, PATCH the missing required fields: unknown stored keys are
+ * dropped by stripUnknownSettings() on PATCH and rollback, and the merged
+ * result is validated as usual.
+ *
+ * resolveSettings() turns whatever is stored into the complete settings model
+ * the agent uses (get_user_settings and the system prompt): every field
+ * present, missing or invalid ones replaced by SETTINGS_DEFAULTS.
+ */
+
+const LEVELS = ['low', 'medium', 'high'];
+
+const emailResponseSettingsSchema = z.object({
+    // Identity
+    company_name: z.string().trim().min(1).max(200),
+    ai_assistant_name: z.string().trim().min(1).max(100),
+    product_name: z.string().trim().max(200).optional(),
+    value_propositions: z.array(z.string().trim().min(1).max(500)).max(20).optional(),
+
+    // Style and behaviour
+    response_tone: z.string().trim().min(1).max(100).optional(),
+    meeting_pushiness: z.enum(LEVELS).optional(),
+    technical_depth: z.enum(LEVELS).optional(),
+    show_ai_disclaimer: z.boolean().optional(),
+    require_reply_approval: z.boolean().optional(),
+
+    // Scheduling
+    timezone: z.string().refine(isValidTimeZone, { message: 'must be an IANA timezone such as America/New_York' }),
+    calendar_id: z.string().trim().min(1).max(300).optional(),
+
+    // Click tracking destinations (empty allows every domain)
+    click_allowed_domains: z.array(
+        z.string().trim().toLowerCase().regex(/^(\*\.)?[a-z0-9-]+(\.[a-z0-9-]+)+$/, 'must be a domain such as example.com')
+    ).max(100).optional(),
+
+    // Reply rendering (see replyTemplates.js)
+    email_signature: z.string().max(2000).optional(),
+    email_signature_html: z.string().max(10000).optional(),
+    reply_template_text: z.string().max(20000).optional(),
+    reply_template_html: z.string().max(50000).optional()
+}).strict();
+
+/**
+ * @typedef {Object} EmailResponseSettings
+ * @property {string} company_name             Company the assistant speaks for
+ * @property {string} ai_assistant_name        Name the assistant signs and introduces itself with
+ * @property {string} product_name             Product being sold (defaults to the company name)
+ * @property {string[]} value_propositions     Selling points to weave into replies
+ * @property {string} response_tone            Free-form tone, e.g. professional_friendly
+ * @property {'low'|'medium'|'high'} meeting_pushiness  How hard replies push for a meeting
+ * @property {'low'|'medium'|'high'} technical_depth    How much technical detail replies go into
+ * @property {boolean} show_ai_disclaimer      Add a note that the email was written by an AI assistant
+ * @property {boolean} require_reply_approval  Save replies as drafts for a human to approve
+ * @property {string} timezone                 IANA timezone for dates and business hours
+ * @property {string} calendar_id              Google Calendar to check and book
+ * @property {string[]} click_allowed_domains  Click-tracking destinations allowed (empty = any)
+ * @property {string} email_signature          Plain-text signature appended to replies
+ * @property {string} email_signature_html     HTML signature (defaults to the plain one)
+ * @property {string} reply_template_text      Text reply layout (empty = built-in)
+ * @property {string} reply_template_html      HTML reply layout (empty = built-in)
+ */
+
+/** @type {EmailResponseSettings} */
+const SETTINGS_DEFAULTS = Object.freeze({
+    company_name: 'our company',
+    ai_assistant_name: 'AI Assistant',
+    product_name: '',
+    value_propositions: [],
+    response_tone: 'professional_friendly',
+    meeting_pushiness: 'medium',
+    technical_depth: 'medium',
+    show_ai_disclaimer: false,
+    require_reply_approval: false,
+    timezone: 'America/Los_Angeles',
+    calendar_id: 'primary',
+    click_allowed_domains: [],
+    email_signature: '',
+    email_signature_html: '',
+    reply_template_text: '',
+    reply_template_html: ''
+});
+
+/**
+ * The complete settings model from stored settings: each field that is
+ * present and valid is kept, anything else falls back to its default.
+ * product_name falls back to the company name.
+ * @returns {EmailResponseSettings}
+ */
+function resolveSettings(stored = {}) {
+    const value = stored && typeof stored === 'object' ? stored : {};
+    const resolved = {};
+    for (const [field, fallback] of Object.entries(SETTINGS_DEFAULTS)) {
+        const parsed = value[field] === undefined || value[field] === null
+            ? null
+            : emailResponseSettingsSchema.shape[field].safeParse(value[field]);
+        resolved[field] = parsed && parsed.success && parsed.data !== undefined ? parsed.data : fallback;
+    }
+    if (!resolved.product_name) resolved.product_name = resolved.company_name;
+    return resolved;
+}
+
+/**
+ * Validate a complete settings object.
+ * Returns { success: true, data } or { success: false, issues: [{ path, message }] }.
+ */
+function validateSettings(value) {
+    const result = emailResponseSettingsSchema.safeParse(value);
+    if (result.success) return { success: true, data: result.data };
+    return {
+        success: false,
+        issues: result.error.issues.map(issue => ({ path: issue.path.join('.') || '(root)', message: issue.message }))
+    };
+}
+
+/**
+ * Stored settings without the keys the schema doesn't know: { value, dropped }
+ */
+function stripUnknownSettings(value) {
+    const known = {};
+    const dropped = [];
+    for (const [key, field] of Object.entries(value || {})) {
+        if (Object.prototype.hasOwnProperty.call(emailResponseSettingsSchema.shape, key)) {
+            known[key] = field;
+        } else {
+            dropped.push(key);
+        }
+    }
+    return { value: known, dropped };
+}
+
+/**
+ * JSON merge patch (RFC 7396) of settings: null removes a key, anything else replaces it
+ */
+function mergeSettings(current, patch) {
+    const merged = { ...current };
+    for (const [key, value] of Object.entries(patch)) {
+        if (value === null) {
+            delete merged[key];
+        } else {
+            merged[key] = value;
+        }
+    }
+    return merged;
+}
+
+module.exports = {
+    emailResponseSettingsSchema,
+    validateSettings,
+    mergeSettings,
+    stripUnknownSettings,
+    resolveSettings,
+    SETTINGS_DEFAULTS,
+    LEVELS
+};
@@ -0,0 +1,143 @@
+const { getCollection } = require('./dataStore');
+
+/**
+ * Settings store for agent_settings
+ * Each row holds one user's setting as a JSON string in setting_value.
+ *
+ * Every save and delete is also appended to agent_settings_history as a new
+ * version (1, 2, ...), so any earlier version can be viewed or restored.
+ * Deleting removes the current row only; the history stays.
+ */
+
+const SETTINGS_COLLECTION = 'agent_settings';
+const HISTORY_COLLECTION = 'agent_settings_history';
+const EMAIL_RESPONSE_SETTINGS = 'email_response_settings';
+
+const HISTORY_FIELDS = ['user_id', 'setting_key', 'version', 'setting_value', 'change_type', 'rolled_back_from', 'saved_at'];
+
+function settings() {
+    return getCollection(SETTINGS_COLLECTION);
+}
+
+function history() {
+    return getCollection(HISTORY_COLLECTION);
+}
+
+function toVersion(row) {
+    return {
+        version: row.version,
+        change_type: row.change_type,
+        rolled_back_from: row.rolled_back_from || null,
+        saved_at: row.saved_at,
+        value: row.setting_value ? JSON.parse(row.setting_value) : null
+    };
+}
+
+async function getCurrentRow(userId, key) {
+    const { rows } = await settings().find(
+        { setting_key: key, user_id: userId },
+        { fields: ['setting_value', 'updated_at', 'version'], limit: 1 }
+    );
+    return rows[0] || null;
+}
+
+async function latestVersion(userId, key) {
+    const { rows } = await history().find({ setting_key: key, user_id: userId }, { fields: ['version'] });
+    return rows.reduce((max, row) => Math.max(max, row.version || 0), 0);
+}
+
+async function appendHistory(userId, key, version, value, changeType, rolledBackFrom, savedAt) {
+    await history().insert([{
+        user_id: userId,
+        setting_key: key,
+        version,
+        setting_value: value === null ? '' : JSON.stringify(value),
+        change_type: changeType,
+        rolled_back_from: rolledBackFrom || 0,
+        saved_at: savedAt
+    }]);
+}
+
+/**
+ * Next version number. Settings saved before history existed are recorded as
+ * version 1 first, so they can be rolled back to as well.
+ */
+async function nextVersion(userId, key) {
+    const latest = await latestVersion(userId, key);
+    if (latest > 0) return latest + 1;
+
+    const current = await getCurrentRow(userId, key);
+    if (!current) return 1;
+    await appendHistory(userId, key, 1, JSON.parse(current.setting_value), 'imported', 0, current.updated_at || new Date().toISOString());
+    return 2;
+}
+
+const settingsStore = {
+    isConfigured: () => settings().isConfigured(),
+    ping: () => settings().ping(),
+
+    /**
+     * Parsed settings for a user, or null if none are saved
+     */
+    async getSettings(userId, key = EMAIL_RESPONSE_SETTINGS) {
+        const row = await getCurrentRow(userId, key);
+        if (!row) return null;
+        return { value: JSON.parse(row.setting_value), updated_at: row.updated_at, version: row.version || 0 };
+    },
+
+    /**
+     * Replace a user's settings, recording a new version.
+     * changeType is put, patch or rollback (rolledBackFrom names the restored version).
+     * Callers validate the value first (settingsSchema.validateSettings).
+     */
+    async saveSettings(userId, value, key = EMAIL_RESPONSE_SETTINGS, { changeType = 'put', rolledBackFrom } = {}) {
+        const updatedAt = new Date().toISOString();
+        const version = await nextVersion(userId, key);
+        await appendHistory(userId, key, version, value, changeType, rolledBackFrom, updatedAt);
+
+        await settings().delete({ setting_key: key, user_id: userId });
+        await settings().insert([{
+            user_id: userId,
+            setting_key: key,
+            setting_value: JSON.stringify(value),
+            updated_at: updatedAt,
+            version
+        }]);
+        return { value, updated_at: updatedAt, version };
+    },
+
+    /**
+     * Remove one user's settings (recorded in history as a delete version)
+     */
+    async deleteSettings(userId, key = EMAIL_RESPONSE_SETTINGS) {
+        const current = await getCurrentRow(userId, key);
+        if (!current) return null;
+
+        const deletedAt = new Date().toISOString();
+        const version = await nextVersion(userId, key);
+        await appendHistory(userId, key, version, null, 'delete', 0, deletedAt);
+        await settings().delete({ setting_key: key, user_id: userId });
+        return { version, deleted_at: deletedAt };
+    },
+
+    /**
+     * Every recorded version, newest first
+     */
+    async listVersions(userId, key = EMAIL_RESPONSE_SETTINGS) {
+        const { rows, truncated } = await history().find({ setting_key: key, user_id: userId }, { fields: HISTORY_FIELDS });
+        return {
+            versions: rows.map(toVersion).sort((a, b) => b.version - a.version),
+            truncated
+        };
+    },
+
+    async getVersion(userId, version, key = EMAIL_RESPONSE_SETTINGS) {
+        const { rows } = await history().find(
+            { setting_key: key, user_id: userId, version },
+            { fields: HISTORY_FIELDS, limit: 1 }
+        );
+        return rows[0] ? toVersion(rows[0]) : null;
+    }
+};
+
+module.exports = { settingsStore, EMAIL_RESPONSE_SETTINGS, SETTINGS_COLLECTION, HISTORY_COLLECTION };
@@ -0,0 +1,80 @@
+const { getCollection } = require('./dataStore');
+const { normalizeEmail } = require('./emailAddress');
+
+/**
+ * Per-user suppression list for email_suppressions
+ * One row per (user_id, email). Bounces, complaints and unsubscribes add rows
+ * automatically; manual entries come through the suppressions API.
+ */
+
+const SUPPRESSIONS_COLLECTION = 'email_suppressions';
+
+const SUPPRESSION_REASONS = ['hard_bounce', 'complaint', 'unsubscribe', 'manual'];
+
+// Delivery event types (see mailgun-events) that suppress the recipient
+const SUPPRESSING_EVENTS = {
+    email_bounced: 'hard_bounce',
+    spam_complaint: 'complaint',
+    email_unsubscribed: 'unsubscribe'
+};
+
+const SUPPRESSION_FIELDS = ['user_id', 'email', 'reason', 'source', 'tracking_id', 'note', 'created_at'];
+
+function suppressions() {
+    return getCollection(SUPPRESSIONS_COLLECTION);
+}
+
+const suppressionStore = {
+    isConfigured: () => suppressions().isConfigured(),
+
+    /**
+     * The suppression row for a user's recipient, or null if they can be mailed
+     */
+    async getSuppression(userId, email) {
+        const { rows } = await suppressions().find(
+            { user_id: userId, email: normalizeEmail(email) },
+            { fields: SUPPRESSION_FIELDS, limit: 1 }
+        );
+        return rows[0] || null;
+    },
+
+    async listSuppressions(userId) {
+        const { rows, truncated } = await suppressions().find({ user_id: userId }, { fields: SUPPRESSION_FIELDS });
+        return {
+            suppressions: rows.sort((a, b) => (b.created_at || '').localeCompare(a.created_at || '')),
+            truncated
+        };
+    },
+
+    /**
+     * Suppress an address for a user, replacing any earlier entry for it
+     */
+    async addSuppression({ userId, email, reason, source = '', trackingId = '', note = '' }) {
+        if (!SUPPRESSION_REASONS.includes(reason)) {
+            throw new Error(`Unknown suppression reason: ${reason}`);
+        }
+        const row = {
+            user_id: userId,
+            email: normalizeEmail(email),
+            reason,
+            source,
+            tracking_id: trackingId || '',
+            note,
+            created_at: new Date().toISOString()
+        };
+        await suppressions().delete({ user_id: row.user_id, email: row.email });
+        await suppressions().insert([row]);
+        return row;
+    },
+
+    async removeSuppression(userId, email) {
+        await suppressions().delete({ user_id: userId, email: normalizeEmail(email) });
+    }
+};
+
+module.exports = {
+    suppressionStore,
+    SUPPRESSIONS_COLLECTION,
+    SUPPRESSION_REASONS,
+    SUPPRESSING_EVENTS
+};
@@ -0,0 +1,67 @@
+// Suppression list API - list, add (manual) and remove suppressed recipients per user
+import { requireAuth } from './apiAuth.js';
+import { jsonResponse, readJsonBody, normalizeUserCode, isValidUserCode, invalidUserCodeResponse } from './apiUtils.js';
+import { suppressionStore } from './suppressionStore.js';
+import { normalizeEmail } from './emailAddress.js';
+
+function isValidEmail(email) {
+  return /^[^\s@<>]+@[^\s@<>]+\.[^\s@<>]+$/.test(email);
+}
+
+export const handler = async (event, context) => {
+  const unauthorized = requireAuth(event);
+  if (unauthorized) return unauthorized;
+
+  try {
+    const params = event.queryStringParameters || {};
+    const { body, response: invalidBody } = readJsonBody(event);
+    if (invalidBody) return invalidBody;
+
+    const userCode = normalizeUserCode(params.user_code || body.user_code);
+    if (!isValidUserCode(userCode)) return invalidUserCodeResponse();
+
+    switch (event.httpMethod) {
+      case 'GET': {
+        if (params.email) {
+          const suppression = await suppressionStore.getSuppression(userCode, params.email);
+          return jsonResponse(200, { success: true, suppressed: !!suppression, suppression });
+        }
+        const { suppressions, truncated } = await suppressionStore.listSuppressions(userCode);
+        return jsonResponse(200, { success: true, truncated, suppressions });
+      }
+
+      case 'POST': {
+        const email = normalizeEmail(body.email);
+        if (!isValidEmail(email)) {
+          return jsonResponse(400, { success: false, error: 'email must be a valid address' });
+        }
+        const suppression = await suppressionStore.addSuppression({
+          userId: userCode,
+          email,
+          reason: 'manual',
+          source: 'api',
+          note: String(body.note || '').substring(0, 500)
+        });
+        console.log(`[SUPPRESSIONS] Manually suppressed ${email} for user ${userCode}`);
+        return jsonResponse(201, { success: true, suppression });
+      }
+
+      case 'DELETE': {
+        const email = normalizeEmail(params.email || body.email);
+        if (!email) {
+          return jsonResponse(400, { success: false, error: 'email is required' });
+        }
+        await suppressionStore.removeSuppression(userCode, email);
+        console.log(`[SUPPRESSIONS] Removed ${email} from user ${userCode}'s suppression list`);
+        return jsonResponse(200, { success: true, removed: email });
+      }
+
+      default:
+        return jsonResponse(405, { success: false, error: 'Method not allowed' });
+    }
+
+  } catch (error) {
+    console.error('[SUPPRESSIONS] Error handling suppression request:', error);
+    return jsonResponse(500, { success: false, error: error.message });
+  }
+};
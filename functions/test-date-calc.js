@@ -1,4 +1,6 @@
 // Test endpoint to check date calculations with user timezone settings
+import { toZonedDateString, toZonedISOString, parseZonedDateTime, addZonedDays, getTimeZoneOffsetMinutes, formatOffset } from './timezone.js';
+
 export const handler = async (event, context) => {
   try {
     // Actually pull from Zilliz instead of using mock data
@@ -7,32 +9,15 @@ export const handler = async (event, context) => {
     let userSettings = null;
     
     try {
-      // Test Zilliz connection and get real settings
-      const { MilvusClient } = await import('@zilliz/milvus2-sdk-node');
-      
-      const milvusClient = new MilvusClient({
-        address: process.env.ZILLIZ_ENDPOINT,
-        token: process.env.ZILLIZ_TOKEN,
-        ssl: true
-      });
-      
-      console.log('[TEST] Testing Zilliz connection...');
-      await milvusClient.loadCollection({ collection_name: 'agent_settings' });
-      
-      // Query for actual user settings
-      const result = await milvusClient.query({
-        collection_name: 'agent_settings',
-        expr: `setting_key == "email_response_settings" && user_id == "${testUserId}"`,
-        output_fields: ['setting_value', 'updated_at'],
-        limit: 1,
-        consistency_level: 'Strong'
-      });
+      // Test store connection and get real settings
+      const { settingsStore } = await import('./settingsStore.js');
       
-      const rows = result.data || result || [];
-      console.log('[TEST] Zilliz query result:', rows);
+      console.log('[TEST] Testing store connection...');
+      const stored = await settingsStore.getSettings(testUserId);
+      console.log('[TEST] Settings query result:', stored);
       
-      if (rows.length > 0) {
-        userSettings = JSON.parse(rows[0].setting_value);
+      if (stored) {
+        userSettings = stored.value;
         console.log('[TEST] Found real user settings:', userSettings);
       } else {
         console.log('[TEST] No settings found in Zilliz for user:', testUserId);
@@ -61,16 +46,9 @@ export const handler = async (event, context) => {
     const userTimezone = userSettings.timezone;
     const now = new Date();
     
-    // Calculate dates in user's timezone (PST)
-    const today = now.toLocaleDateString('en-US', { 
-      year: 'numeric', month: '2-digit', day: '2-digit', 
-      timeZone: userTimezone 
-    }).replace(/\//g, '-');
-    
-    const tomorrow = new Date(now.getTime() + 24*60*60*1000).toLocaleDateString('en-US', { 
-      year: 'numeric', month: '2-digit', day: '2-digit', 
-      timeZone: userTimezone 
-    }).replace(/\//g, '-');
+    // Calculate dates in user's timezone
+    const today = toZonedDateString(now, userTimezone);
+    const tomorrow = toZonedDateString(addZonedDays(now, 1, userTimezone), userTimezone);
 
     const todayLong = now.toLocaleDateString('en-US', { 
       weekday: 'long', year: 'numeric', month: 'long', day: 'numeric',
@@ -89,11 +67,12 @@ export const handler = async (event, context) => {
       timeZoneName: 'short'
     });
 
-    // Test calendar event scenarios  
+    // Test calendar event scenarios, with the offset in effect on each date
+    const zonedExample = (date, hour) => toZonedISOString(parseZonedDateTime(`${date}T${hour}:00`, userTimezone), userTimezone);
     const testScenarios = {
-      "tomorrow_5pm_pst": `${tomorrow}T17:00:00-08:00`,
-      "tomorrow_4pm_pst": `${tomorrow}T16:00:00-08:00`, 
-      "today_2pm_pst": `${today}T14:00:00-08:00`
+      "tomorrow_5pm": zonedExample(tomorrow, 17),
+      "tomorrow_4pm": zonedExample(tomorrow, 16),
+      "today_2pm": zonedExample(today, 14)
     };
 
     return {
@@ -104,6 +83,7 @@ export const handler = async (event, context) => {
         timezone_info: {
           user_timezone: userTimezone,
           user_current_time: userCurrentTime,
+          user_utc_offset: formatOffset(getTimeZoneOffsetMinutes(userTimezone, now)),
           utc_time: now.toISOString()
         },
         date_calculations: {
@@ -114,8 +94,8 @@ export const handler = async (event, context) => {
         calendar_examples: testScenarios,
         expected_behavior: {
           "if_user_says": "tomorrow at 5pm",
-          "ai_should_assume": "PST (user's timezone)",
-          "should_schedule_for": testScenarios.tomorrow_5pm_pst,
+          "ai_should_assume": `${userTimezone} (user's timezone)`,
+          "should_schedule_for": testScenarios.tomorrow_5pm,
           "calendar_date": tomorrow
         },
         ai_prompt_preview: `Today is: ${todayLong} (in ${userTimezone})\nTomorrow: ${tomorrow}\nAI Name: ${userSettings.ai_assistant_name}\nCompany: ${userSettings.company_name}`
@@ -0,0 +1,74 @@
+const { normalizeEmail } = require('./emailAddress');
+
+/**
+ * Email threading helpers
+ * Message-ID lists (In-Reply-To, References) are parsed into bare ids and
+ * written back as "<id1> <id2> ..." so a whole chain survives each hop.
+ */
+
+// Longest References header we send; RFC 5322 allows trimming the middle of the chain
+const MAX_REFERENCES = 20;
+
+/**
+ * Every Message-ID in a header value, without angle brackets, in order and de-duplicated.
+ * Accepts "<a> <b>", "<a>,<b>", bare "a b" or an array of any of those.
+ */
+function parseMessageIds(value) {
+    if (!value) return [];
+    if (Array.isArray(value)) return [...new Set(value.flatMap(parseMessageIds))];
+
+    const text = String(value);
+    const bracketed = [...text.matchAll(/<([^<>\s]+)>/g)].map(match => match[1]);
+    const ids = bracketed.length
+        ? bracketed
+        : text.split(/[\s,]+/).map(id => id.trim()).filter(id => id.includes('@'));
+    return [...new Set(ids)];
+}
+
+/**
+ * Header value for a list of ids: "<id1> <id2>"
+ */
+function formatMessageIds(ids) {
+    return parseMessageIds(ids).map(id => `<${id}>`).join(' ');
+}
+
+/**
+ * References for a reply: the parent's References followed by the parent's Message-ID,
+ * keeping the first (thread root) and the most recent ids when the chain is long.
+ */
+function buildReferences(parentReferences, parentMessageId) {
+    const chain = parseMessageIds([parentReferences, parentMessageId].filter(Boolean));
+    if (chain.length <= MAX_REFERENCES) return formatMessageIds(chain);
+    return formatMessageIds([chain[0], ...chain.slice(-(MAX_REFERENCES - 1))]);
+}
+
+/**
+ * Subject with reply/forward prefixes and [tags] removed, for matching threads
+ */
+function normalizeSubject(subject) {
+    let text = String(subject || '').trim();
+    const prefix = /^(?:(?:re|fw|fwd|aw|wg|sv|vs|antw|rif|tr|r)(?:\[\d+\])?\s*:|\[[^\]]*\])\s*/i;
+    while (prefix.test(text)) {
+        text = text.replace(prefix, '');
+    }
+    return text.replace(/\s+/g, ' ').trim().toLowerCase();
+}
+
+/**
+ * Fields stored on lead_message and ai_reply events so a reply that lost its
+ * headers can still be matched to its conversation by subject and contact
+ */
+function threadFields(subject, contactAddress) {
+    return {
+        normalized_subject: normalizeSubject(subject),
+        contact_email: normalizeEmail(contactAddress)
+    };
+}
+
+module.exports = {
+    parseMessageIds,
+    formatMessageIds,
+    buildReferences,
+    normalizeSubject,
+    threadFields
+};
@@ -0,0 +1,158 @@
+/**
+ * Time zone helpers for any IANA zone (America/New_York, Europe/Berlin, ...)
+ * Offsets come from Intl for the exact instant, so they follow daylight saving
+ * changes instead of assuming a fixed -07:00 or -05:00.
+ *
+ * "Wall time" below means the local date and time on a clock in that zone.
+ */
+
+const formatters = new Map();
+
+function isValidTimeZone(timeZone) {
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone });
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+function formatterFor(timeZone) {
+    if (!formatters.has(timeZone)) {
+        formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+            timeZone,
+            hourCycle: 'h23',
+            weekday: 'long',
+            year: 'numeric',
+            month: '2-digit',
+            day: '2-digit',
+            hour: '2-digit',
+            minute: '2-digit',
+            second: '2-digit'
+        }));
+    }
+    return formatters.get(timeZone);
+}
+
+const pad = (value, length = 2) => String(value).padStart(length, '0');
+
+/**
+ * Wall time of an instant in a zone: { year, month, day, hour, minute, second, weekday }
+ */
+function getZonedParts(date, timeZone) {
+    const parts = {};
+    for (const { type, value } of formatterFor(timeZone).formatToParts(date)) {
+        parts[type] = value;
+    }
+    return {
+        year: Number(parts.year),
+        month: Number(parts.month),
+        day: Number(parts.day),
+        hour: Number(parts.hour),
+        minute: Number(parts.minute),
+        second: Number(parts.second),
+        weekday: parts.weekday
+    };
+}
+
+/**
+ * Minutes the zone is ahead of UTC at that instant (-420 for Los Angeles in summer)
+ */
+function getTimeZoneOffsetMinutes(timeZone, date = new Date()) {
+    const p = getZonedParts(date, timeZone);
+    const wallAsUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+    return Math.round((wallAsUtc - Math.floor(date.getTime() / 1000) * 1000) / 60000);
+}
+
+/**
+ * An offset in minutes as +HH:MM / -HH:MM
+ */
+function formatOffset(minutes) {
+    const sign = minutes < 0 ? '-' : '+';
+    const abs = Math.abs(minutes);
+    return `${sign}${pad(Math.floor(abs / 60))}:${pad(abs % 60)}`;
+}
+
+/**
+ * YYYY-MM-DD of an instant in a zone
+ */
+function toZonedDateString(date, timeZone) {
+    const p = getZonedParts(date, timeZone);
+    return `${pad(p.year, 4)}-${pad(p.month)}-${pad(p.day)}`;
+}
+
+/**
+ * ISO 8601 wall time with that zone's offset at the instant, e.g. 2025-11-03T15:00:00-08:00
+ */
+function toZonedISOString(date, timeZone) {
+    const p = getZonedParts(date, timeZone);
+    return `${toZonedDateString(date, timeZone)}T${pad(p.hour)}:${pad(p.minute)}:${pad(p.second)}` +
+        formatOffset(getTimeZoneOffsetMinutes(timeZone, date));
+}
+
+/**
+ * The instant a wall time happens in a zone. Fields past their range roll
+ * over (day 32 is the 1st of next month). A wall time skipped by a spring
+ * forward change lands just after it; one repeated in autumn uses the first.
+ */
+function zonedTimeToUtc({ year, month, day, hour = 0, minute = 0, second = 0 }, timeZone) {
+    const wallAsUtc = Date.UTC(year, month - 1, day, hour, minute, second);
+    // A zone changes offset at most once within a day either side
+    const before = getTimeZoneOffsetMinutes(timeZone, new Date(wallAsUtc - 86400000));
+    const after = getTimeZoneOffsetMinutes(timeZone, new Date(wallAsUtc + 86400000));
+
+    const matches = [before, after]
+        .map(offset => wallAsUtc - offset * 60000)
+        .filter(instant => wallAsUtc - instant === getTimeZoneOffsetMinutes(timeZone, new Date(instant)) * 60000);
+    if (matches.length) return new Date(Math.min(...matches));
+    return new Date(wallAsUtc - before * 60000);
+}
+
+/**
+ * A date-time string as an instant. Strings with Z or an offset are exact;
+ * bare ones (2025-11-03T15:00 or 2025-11-03 15:00:00) are wall time in timeZone.
+ * Returns null when the string isn't a date.
+ */
+function parseZonedDateTime(value, timeZone) {
+    const text = String(value || '').trim();
+    const bare = text.match(/^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2})(?:\.\d+)?)?)?$/);
+    if (bare) {
+        const [, year, month, day, hour = 0, minute = 0, second = 0] = bare;
+        return zonedTimeToUtc({
+            year: Number(year), month: Number(month), day: Number(day),
+            hour: Number(hour), minute: Number(minute), second: Number(second)
+        }, timeZone);
+    }
+    const date = new Date(text);
+    return isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * The same wall time a number of days later in a zone (the UTC gap is 23 or
+ * 25 hours across a daylight saving change)
+ */
+function addZonedDays(date, days, timeZone) {
+    const p = getZonedParts(date, timeZone);
+    return zonedTimeToUtc({ ...p, day: p.day + days }, timeZone);
+}
+
+/**
+ * The instant a given wall-clock hour starts on the same local day
+ */
+function atZonedHour(date, hour, timeZone, minute = 0) {
+    const p = getZonedParts(date, timeZone);
+    return zonedTimeToUtc({ year: p.year, month: p.month, day: p.day, hour, minute }, timeZone);
+}
+
+module.exports = {
+    isValidTimeZone,
+    getZonedParts,
+    getTimeZoneOffsetMinutes,
+    formatOffset,
+    toZonedDateString,
+    toZonedISOString,
+    zonedTimeToUtc,
+    parseZonedDateTime,
+    addZonedDays,
+    atZonedHour
+};
@@ -1,18 +1,82 @@
+const { verifyClickLink, parseDestination, isDestinationAllowed } = require('./trackingLinks');
+const { extractUserIdFromTrackingId, extractSentAtFromTrackingId } = require('./trackingUtils');
+const { classifyClick } = require('./clickClassifier');
+const { enrichRequest } = require('./eventEnrichment');
+const { eventStore } = require('./eventStore');
+const { settingsStore } = require('./settingsStore');
+const { escapeHtml } = require('./htmlEscape');
+
+const ENRICHMENT_FIELDS = ['client_ip', 'device_type', 'os', 'mail_client', 'geo_country', 'geo_region'];
+
+// Shown instead of redirecting when a link is unsigned, tampered with or off the allowlist
+function interstitialPage(redirectUrl) {
+  const destination = parseDestination(redirectUrl);
+  const continueLink = destination
+    ? `<p><a href="${escapeHtml(destination.href)}" rel="noopener noreferrer nofollow">Continue to ${escapeHtml(destination.hostname)}</a></p>`
+    : '';
+
+  return {
+    statusCode: 200,
+    headers: {
+      'Content-Type': 'text/html; charset=utf-8',
+      'Cache-Control': 'no-cache, no-store, must-revalidate',
+      'X-Robots-Tag': 'noindex'
+    },
+    body: `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <meta name="referrer" content="no-referrer">
+    <title>Leaving ExaMark</title>
+    <style>
+        body { font-family: Arial, sans-serif; margin: 40px; background: #f5f5f5; }
+        .container { background: white; padding: 20px; border-radius: 8px; max-width: 600px; }
+        code { word-break: break-all; }
+    </style>
+</head>
+<body>
+    <div class="container">
+        <h1>Check this link before you continue</h1>
+        <p>We couldn't verify that this link was sent by ExaMark. It points to:</p>
+        <p><code>${escapeHtml(redirectUrl)}</code></p>
+        ${continueLink}
+    </div>
+</body>
+</html>`
+  };
+}
+
+// Per-user destination allowlist from Email Response Settings (optional)
+async function getAllowedDomains(trackingId) {
+  const userId = extractUserIdFromTrackingId(trackingId);
+  if (!userId || !settingsStore.isConfigured()) return [];
+
+  try {
+    const settings = await settingsStore.getSettings(userId);
+    return settings?.value.click_allowed_domains || [];
+  } catch (e) {
+    console.log('Allowlist lookup error (no allowlist applied):', e);
+    return [];
+  }
+}
+
 exports.handler = async (event, context) => {
   try {
     // Get tracking ID from path parameter or query parameter
     let trackingId = event.queryStringParameters?.email_id;
-    
+
     if (!trackingId) {
       // Extract from path (e.g., /track/click/abc123)
       const pathParts = event.path.split('/');
       trackingId = pathParts[pathParts.length - 1];
     }
-    
+
     const redirectUrl = event.queryStringParameters?.url;
-    
+    const signature = event.queryStringParameters?.sig;
+
     console.log('Click tracking:', { trackingId, redirectUrl, path: event.path, query: event.queryStringParameters });
-    
+
     if (!trackingId || !redirectUrl) {
       return {
         statusCode: 400,
@@ -20,36 +84,93 @@ exports.handler = async (event, context) => {
       };
     }
 
-    // Store to Zilliz
+    // Never redirect on a link we didn't sign
+    if (!verifyClickLink(trackingId, redirectUrl, signature)) {
+      console.log(`Unsigned or tampered click link for ${trackingId}, showing interstitial`);
+      return interstitialPage(redirectUrl);
+    }
+
+    const allowedDomains = await getAllowedDomains(trackingId);
+    if (!isDestinationAllowed(redirectUrl, allowedDomains)) {
+      console.log(`Destination not allowed for ${trackingId}, showing interstitial`);
+      return interstitialPage(redirectUrl);
+    }
+
+    // Store the click, flagging security-scanner clicks instead of counting them
     try {
-      const { MilvusClient } = require('@zilliz/milvus2-sdk-node');
-      
-      if (process.env.ZILLIZ_ENDPOINT && process.env.ZILLIZ_TOKEN) {
-        const client = new MilvusClient({
-          address: process.env.ZILLIZ_ENDPOINT,
-          token: process.env.ZILLIZ_TOKEN
-        });
+      if (eventStore.isConfigured()) {
+        const userAgent = event.headers['user-agent'] || 'Unknown';
+        const enrichment = enrichRequest(event.headers);
+        const ipAddress = enrichment.client_ip;
+        const clickedAt = new Date();
+        const clickCriteria = { tracking_id: trackingId, event_type: 'link_click' };
+
+        let recentClicks = [];
+        try {
+          const existing = await eventStore.findEvents(clickCriteria, {
+            fields: ['timestamp', 'clicked_url', 'user_agent', 'ip_address', 'click_classification', 'email_address', 'recipient', 'processed', ...ENRICHMENT_FIELDS]
+          });
+          recentClicks = existing.rows;
+        } catch (queryError) {
+          console.log('Query error (classifying without click history):', queryError);
+        }
 
-        const data = [{
-          tracking_id: trackingId,
-          event_type: 'link_click',
-          timestamp: new Date().toISOString(),
-          user_agent: event.headers['user-agent'] || 'Unknown',
-          ip_address: event.headers['x-forwarded-for'] || 'Unknown',
-          clicked_url: redirectUrl,
-          email_address: 'Unknown',
-          recipient: 'Unknown',
-          processed: false,
-          dummy_vector: [0.0, 0.0]
-        }];
-
-        await client.insert({
-          collection_name: 'email_tracking_events',
-          data: data
+        const classification = classifyClick({
+          userAgent,
+          ipAddress,
+          clickedUrl: redirectUrl,
+          sentAt: extractSentAtFromTrackingId(trackingId),
+          clickedAt,
+          recentClicks
         });
+        console.log(`Click for ${trackingId} classified as ${classification.click_classification} (${classification.reason})`);
+
+        // A burst means the earlier clicks in it were the scanner too, so re-flag them
+        const reflagged = classification.burst.filter(click => click.click_classification !== 'scanner');
+        if (reflagged.length > 0) {
+          await eventStore.deleteEvents({
+            ...clickCriteria,
+            timestamp: reflagged.map(click => click.timestamp)
+          });
+        }
+
+        const data = [
+          ...reflagged.map(click => ({
+            tracking_id: trackingId,
+            event_type: 'link_click',
+            timestamp: click.timestamp,
+            user_agent: click.user_agent,
+            ip_address: click.ip_address,
+            clicked_url: click.clicked_url,
+            email_address: click.email_address,
+            recipient: click.recipient,
+            processed: click.processed,
+            ...Object.fromEntries(ENRICHMENT_FIELDS.map(field => [field, click[field] ?? ''])),
+            click_classification: 'scanner',
+            scanner_reason: 'click_burst',
+            scanner_source: ''
+          })),
+          {
+            tracking_id: trackingId,
+            event_type: 'link_click',
+            timestamp: clickedAt.toISOString(),
+            user_agent: userAgent,
+            ip_address: ipAddress,
+            ...enrichment,
+            clicked_url: redirectUrl,
+            click_classification: classification.click_classification,
+            scanner_reason: classification.click_classification === 'scanner' ? classification.reason : '',
+            scanner_source: classification.scanner_source || '',
+            email_address: 'Unknown',
+            recipient: 'Unknown',
+            processed: false
+          }
+        ];
+
+        await eventStore.insertEvents(data);
       }
     } catch (e) {
-      console.log('Zilliz error:', e);
+      console.log('Event store error:', e);
     }
 
     // Redirect
@@ -1,3 +1,8 @@
+const { classifyOpen } = require('./openClassifier');
+const { extractSentAtFromTrackingId } = require('./trackingUtils');
+const { enrichRequest } = require('./eventEnrichment');
+const { eventStore } = require('./eventStore');
+
 exports.handler = async (event, context) => {
   try {
     // Get tracking ID from path parameter or query parameter
@@ -17,73 +22,53 @@ exports.handler = async (event, context) => {
     console.log('Tracking pixel hit:', { trackingId, path: event.path, query: event.queryStringParameters });
     
     if (trackingId) {
-      // Store to Zilliz with deduplication
+      // Store the open
       try {
-        const { MilvusClient } = require('@zilliz/milvus2-sdk-node');
-        
-        if (process.env.ZILLIZ_ENDPOINT && process.env.ZILLIZ_TOKEN) {
-          const client = new MilvusClient({
-            address: process.env.ZILLIZ_ENDPOINT,
-            token: process.env.ZILLIZ_TOKEN
-          });
-
+        if (eventStore.isConfigured()) {
           const userAgent = event.headers['user-agent'] || 'Unknown';
-          const ipAddress = event.headers['x-forwarded-for'] || 'Unknown';
+          const enrichment = enrichRequest(event.headers);
+          const ipAddress = enrichment.client_ip;
           
-          // Filter out known bots/proxies that cause duplicates
-          const isBot = userAgent.includes('bot') || 
-                       userAgent.includes('crawler') || 
-                       userAgent.includes('spider') ||
-                       userAgent.includes('facebookexternalhit');
+          // Label machine opens (bots, Apple MPP and mail provider image proxies) instead of counting them as reads
+          const openedAt = new Date();
+          const classification = classifyOpen({
+            userAgent,
+            ipAddress,
+            sentAt: extractSentAtFromTrackingId(trackingId),
+            openedAt
+          });
+          console.log(`Open for ${trackingId} classified as ${classification.classification} (${classification.reason})`);
           
-          // Check if this email has EVER been opened before (single open tracking)
-          let alreadyOpened = false;
-          try {
-            const existingEvents = await client.search({
-              collection_name: 'email_tracking_events',
-              vectors: [[0.0, 0.0]], // Dummy vector for search
-              search_params: { nprobe: 1 },
-              output_fields: ['tracking_id', 'event_type'],
-              limit: 100
-            });
-            
-            for (const result of existingEvents.results) {
-              if (result.tracking_id === trackingId && result.event_type === 'email_open') {
-                alreadyOpened = true;
-                console.log(`Email ${trackingId} already marked as opened`);
-                break;
-              }
-            }
-          } catch (searchError) {
-            console.log('Search error (proceeding with insert):', searchError);
-          }
+          // One row per open, never rewritten: simultaneous hits (a proxy prefetch plus the
+          // real open) can't overwrite each other. Readers merge them with mergeOpenEvents.
+          const now = openedAt.toISOString();
+          const type = classification.classification;
+          await eventStore.insertEvents([{
+            tracking_id: trackingId,
+            event_type: 'email_open',
+            timestamp: now,
+            first_opened_at: now,
+            last_opened_at: now,
+            open_count: 1,
+            open_classification: type,
+            human_open_count: type === 'human' ? 1 : 0,
+            proxy_prefetch_open_count: type === 'proxy_prefetch' ? 1 : 0,
+            bot_open_count: type === 'bot' ? 1 : 0,
+            last_open_classification: type,
+            last_open_reason: classification.reason,
+            proxy_source: classification.proxy_source || '',
+            user_agent: userAgent,
+            ip_address: ipAddress,
+            ...enrichment,
+            email_address: 'Unknown',
+            recipient: 'Unknown',
+            processed: false
+          }]);
           
-          // Only insert if not a bot and not already opened
-          if (!isBot && !alreadyOpened) {
-            const data = [{
-              tracking_id: trackingId,
-              event_type: 'email_open',
-              timestamp: new Date().toISOString(),
-              user_agent: userAgent,
-              ip_address: ipAddress,
-              email_address: 'Unknown',
-              recipient: 'Unknown',
-              processed: false,
-              dummy_vector: [0.0, 0.0]
-            }];
-
-            await client.insert({
-              collection_name: 'email_tracking_events',
-              data: data
-            });
-            
-            console.log(`Email ${trackingId} marked as opened for first time`);
-          } else {
-            console.log(`Tracking event filtered out for ${trackingId} (bot: ${isBot}, already opened: ${alreadyOpened})`);
-          }
+          console.log(`Email ${trackingId} open recorded (${type})`);
         }
       } catch (e) {
-        console.log('Zilliz error:', e);
+        console.log('Event store error:', e);
       }
     }
 
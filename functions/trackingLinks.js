@@ -0,0 +1,120 @@
+const crypto = require('crypto');
+
+/**
+ * Signed click-tracking and unsubscribe links
+ * The signature covers the tracking id and the exact destination URL (or, for
+ * unsubscribe links, the contact's address), so a link can't be re-pointed at
+ * another site or another contact without CLICK_SIGNING_SECRET.
+ */
+
+function getClickSigningSecret() {
+    return (process.env.CLICK_SIGNING_SECRET || '').trim();
+}
+
+function getTrackingBaseUrl() {
+    return (process.env.TRACKING_BASE_URL || process.env.URL || '').replace(/\/+$/, '');
+}
+
+function signClickLink(trackingId, url, secret = getClickSigningSecret()) {
+    return crypto
+        .createHmac('sha256', secret)
+        .update(`${trackingId}\n${url}`)
+        .digest('base64url');
+}
+
+/**
+ * Check a click link signature. Returns false when no secret is configured.
+ */
+function verifyClickLink(trackingId, url, signature, secret = getClickSigningSecret()) {
+    if (!secret || !trackingId || !url || !signature) return false;
+
+    const expected = Buffer.from(signClickLink(trackingId, url, secret));
+    const provided = Buffer.from(String(signature));
+    return expected.length === provided.length && crypto.timingSafeEqual(expected, provided);
+}
+
+/**
+ * Build the public /track/click URL for a destination
+ */
+function buildClickTrackingUrl(trackingId, url) {
+    const params = new URLSearchParams({ url, sig: signClickLink(trackingId, url) });
+    return `${getTrackingBaseUrl()}/track/click/${encodeURIComponent(trackingId)}?${params.toString()}`;
+}
+
+/**
+ * Build the public open-tracking pixel URL for a conversation
+ */
+function buildPixelUrl(trackingId) {
+    return `${getTrackingBaseUrl()}/track/pixel/${encodeURIComponent(trackingId)}.png`;
+}
+
+function signUnsubscribeLink(trackingId, email, secret = getClickSigningSecret()) {
+    return crypto
+        .createHmac('sha256', secret)
+        .update(`unsubscribe\n${trackingId}\n${String(email).toLowerCase()}`)
+        .digest('base64url');
+}
+
+/**
+ * Check an unsubscribe link signature. Returns false when no secret is configured.
+ */
+function verifyUnsubscribeLink(trackingId, email, signature, secret = getClickSigningSecret()) {
+    if (!secret || !trackingId || !email || !signature) return false;
+
+    const expected = Buffer.from(signUnsubscribeLink(trackingId, email, secret));
+    const provided = Buffer.from(String(signature));
+    return expected.length === provided.length && crypto.timingSafeEqual(expected, provided);
+}
+
+/**
+ * Build the public /unsubscribe URL for a contact, used as the List-Unsubscribe target
+ */
+function buildUnsubscribeUrl(trackingId, email) {
+    const params = new URLSearchParams({
+        tid: trackingId,
+        email: String(email).toLowerCase(),
+        sig: signUnsubscribeLink(trackingId, email)
+    });
+    return `${getTrackingBaseUrl()}/unsubscribe?${params.toString()}`;
+}
+
+/**
+ * Only plain http(s) destinations are ever redirected to or linked from the interstitial
+ */
+function parseDestination(url) {
+    try {
+        const parsed = new URL(url);
+        return ['http:', 'https:'].includes(parsed.protocol) ? parsed : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * An empty allowlist allows every domain; otherwise the host must match an
+ * entry or be a subdomain of one.
+ */
+function isDestinationAllowed(url, allowedDomains = []) {
+    const parsed = parseDestination(url);
+    if (!parsed) return false;
+    if (!Array.isArray(allowedDomains) || allowedDomains.length === 0) return true;
+
+    const host = parsed.hostname.toLowerCase();
+    return allowedDomains.some(domain => {
+        const allowed = String(domain).toLowerCase().replace(/^\*?\./, '');
+        return host === allowed || host.endsWith(`.${allowed}`);
+    });
+}
+
+module.exports = {
+    signClickLink,
+    verifyClickLink,
+    buildClickTrackingUrl,
+    buildPixelUrl,
+    getTrackingBaseUrl,
+    signUnsubscribeLink,
+    verifyUnsubscribeLink,
+    buildUnsubscribeUrl,
+    parseDestination,
+    isDestinationAllowed
+};
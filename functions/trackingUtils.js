@@ -0,0 +1,43 @@
+const crypto = require('crypto');
+
+/**
+ * Shared helpers for ExaMark tracking ids
+ */
+
+function extractUserIdFromTrackingId(trackingId) {
+    if (!trackingId) return null;
+    // Extract user code from tracking-76e84c79_timestamp_hash format
+    const match = trackingId.match(/tracking-([a-f0-9]{8})/);
+    return match ? match[1] : null;
+}
+
+/**
+ * Send time embedded in tracking-<user>_<epoch ms>_<hash>, as a Date (or null)
+ */
+function extractSentAtFromTrackingId(trackingId) {
+    if (!trackingId) return null;
+    const match = trackingId.match(/tracking-[a-f0-9]{8}_(\d{10,13})_/);
+    if (!match) return null;
+
+    const raw = Number(match[1]);
+    const sentAt = new Date(match[1].length === 10 ? raw * 1000 : raw);
+    return isNaN(sentAt.getTime()) ? null : sentAt;
+}
+
+/**
+ * A new tracking id for a conversation that starts with an inbound message
+ */
+function createTrackingId(userCode) {
+    return `tracking-${userCode}_${Date.now()}_${crypto.randomBytes(4).toString('hex')}`;
+}
+
+/**
+ * First full tracking id (tracking-<user>_<timestamp>_<hash>) inside a string such as a Message-ID
+ */
+function findTrackingId(text) {
+    if (!text) return null;
+    const match = String(text).match(/tracking-([a-f0-9]{8}_\d+_[a-f0-9]+)/);
+    return match ? `tracking-${match[1]}` : null;
+}
+
+module.exports = { extractUserIdFromTrackingId, extractSentAtFromTrackingId, findTrackingId, createTrackingId };
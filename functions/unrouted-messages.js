@@ -0,0 +1,118 @@
+// Unrouted inbound mail API - review messages no account could be found for, then assign or discard them
+import { requireAuth } from './apiAuth.js';
+import { jsonResponse, readJsonBody, normalizeUserCode, isValidUserCode, invalidUserCodeResponse } from './apiUtils.js';
+import { inboundRouting } from './inboundRouting.js';
+import { createTrackingId } from './trackingUtils.js';
+import { eventStore } from './eventStore.js';
+import { agentJobs } from './agentJobs.js';
+import { threadFields } from './threading.js';
+import { attachmentMetadata, limitAttachmentText } from './attachmentText.js';
+import { claimStore } from './claimStore.js';
+
+// Hand the message to a user as a new conversation, exactly as if it had been routed on arrival
+async function assignMessage(message, userCode) {
+  const trackingId = createTrackingId(userCode);
+  const emailData = {
+    from: message.from,
+    to: message.to,
+    subject: message.subject,
+    body: message.body,
+    messageId: message.message_id,
+    inReplyTo: message.in_reply_to,
+    references: message.references,
+    receivedAt: message.received_at,
+    attachments: limitAttachmentText(message.attachments || [])
+  };
+
+  await eventStore.insertEvents([{
+    tracking_id: trackingId,
+    event_type: 'lead_message',
+    timestamp: new Date().toISOString(),
+    user_agent: `Subject: ${emailData.subject}\n\nFrom: ${emailData.from}\n\n${emailData.body}`.substring(0, 500),
+    email_address: emailData.from,
+    recipient: emailData.to,
+    ip_address: '127.0.0.1',
+    processed: true,
+    unrouted_id: message.unrouted_id,
+    message_id: message.message_id || '',
+    ...threadFields(emailData.subject, emailData.from),
+    attachment_count: emailData.attachments.length,
+    attachments: attachmentMetadata(emailData.attachments)
+  }]);
+
+  const job = await agentJobs.createJob({ trackingId, messageId: message.message_id, payload: { emailData, trackingId } });
+  const assigned = await inboundRouting.updateUnrouted(message, { status: 'assigned', user_id: userCode, tracking_id: trackingId });
+  await agentJobs.triggerWorker(job.job_id);
+
+  console.log(`[UNROUTED] Assigned ${message.unrouted_id} to ${userCode} as ${trackingId} (job ${job.job_id})`);
+  return jsonResponse(200, { success: true, message: assigned, job_id: job.job_id });
+}
+
+export const handler = async (event, context) => {
+  const unauthorized = requireAuth(event);
+  if (unauthorized) return unauthorized;
+
+  try {
+    const params = event.queryStringParameters || {};
+
+    if (event.httpMethod === 'GET') {
+      if (params.unrouted_id) {
+        const message = await inboundRouting.getUnrouted(params.unrouted_id);
+        return message
+          ? jsonResponse(200, { success: true, message })
+          : jsonResponse(404, { success: false, error: 'Message not found' });
+      }
+      const { messages, truncated } = await inboundRouting.listUnrouted(params.status || 'unrouted');
+      return jsonResponse(200, { success: true, truncated, messages });
+    }
+
+    if (event.httpMethod !== 'POST') {
+      return jsonResponse(405, { success: false, error: 'Method not allowed' });
+    }
+
+    const { body, response: invalidBody } = readJsonBody(event);
+    if (invalidBody) return invalidBody;
+
+    const message = await inboundRouting.getUnrouted(params.unrouted_id || body.unrouted_id);
+    if (!message) {
+      return jsonResponse(404, { success: false, error: 'Message not found' });
+    }
+    if (message.status !== 'unrouted') {
+      return jsonResponse(409, { success: false, error: `Message is already ${message.status}` });
+    }
+    if (!['assign', 'discard'].includes(body.action)) {
+      return jsonResponse(400, { success: false, error: 'action must be assign or discard' });
+    }
+    const userCode = normalizeUserCode(body.user_code);
+    if (body.action === 'assign' && !isValidUserCode(userCode)) return invalidUserCodeResponse();
+
+    // One decision per message: a double-submitted assign (or two operators) would
+    // otherwise start two conversations and two agent replies to the sender
+    const claimKey = `unrouted:${message.unrouted_id}`;
+    const { claimed, claimToken } = await claimStore.claim(claimKey);
+    if (!claimed) {
+      return jsonResponse(409, { success: false, error: 'Message is being handled by another request' });
+    }
+
+    try {
+      const current = await inboundRouting.getUnrouted(message.unrouted_id);
+      if (current?.status !== 'unrouted') {
+        return jsonResponse(409, { success: false, error: `Message is already ${current?.status}` });
+      }
+      if (body.action === 'assign') {
+        return await assignMessage(current, userCode);
+      }
+      const discarded = await inboundRouting.updateUnrouted(current, { status: 'discarded' });
+      console.log(`[UNROUTED] Discarded ${message.unrouted_id}`);
+      return jsonResponse(200, { success: true, message: discarded });
+    } finally {
+      // Still unrouted means nothing was decided (an error part way); let it be tried again
+      const after = await inboundRouting.getUnrouted(message.unrouted_id);
+      if (after?.status === 'unrouted') await claimStore.release(claimKey, claimToken);
+    }
+
+  } catch (error) {
+    console.error('[UNROUTED] Error handling unrouted message request:', error);
+    return jsonResponse(500, { success: false, error: error.message });
+  }
+};
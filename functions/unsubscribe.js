@@ -0,0 +1,121 @@
+const { verifyUnsubscribeLink } = require('./trackingLinks');
+const { extractUserIdFromTrackingId } = require('./trackingUtils');
+const { enrichRequest } = require('./eventEnrichment');
+const { eventStore } = require('./eventStore');
+const { suppressionStore } = require('./suppressionStore');
+const { normalizeEmail } = require('./emailAddress');
+const { escapeHtml } = require('./htmlEscape');
+
+function htmlPage(statusCode, title, content) {
+  return {
+    statusCode,
+    headers: {
+      'Content-Type': 'text/html; charset=utf-8',
+      'Cache-Control': 'no-cache, no-store, must-revalidate',
+      'X-Robots-Tag': 'noindex'
+    },
+    body: `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <meta name="referrer" content="no-referrer">
+    <title>${escapeHtml(title)}</title>
+    <style>
+        body { font-family: Arial, sans-serif; margin: 40px; background: #f5f5f5; }
+        .container { background: white; padding: 20px; border-radius: 8px; max-width: 600px; }
+        button { font-size: 14px; padding: 6px 10px; }
+    </style>
+</head>
+<body>
+    <div class="container">
+        <h1>${escapeHtml(title)}</h1>
+        ${content}
+    </div>
+</body>
+</html>`
+  };
+}
+
+function parseFormBody(event) {
+  if (!event.body) return {};
+  const body = event.isBase64Encoded ? Buffer.from(event.body, 'base64').toString() : event.body;
+  return Object.fromEntries(new URLSearchParams(body));
+}
+
+// Record the opt-out once: a suppression for the user's list and an email_unsubscribed event on the thread
+async function recordUnsubscribe({ trackingId, email, oneClick, headers }) {
+  const userId = extractUserIdFromTrackingId(trackingId);
+  const existing = await suppressionStore.getSuppression(userId, email);
+  if (existing && existing.reason === 'unsubscribe') {
+    console.log(`[UNSUBSCRIBE] ${email} already unsubscribed from user ${userId}`);
+    return;
+  }
+
+  await suppressionStore.addSuppression({
+    userId,
+    email,
+    reason: 'unsubscribe',
+    source: oneClick ? 'list_unsubscribe_one_click' : 'unsubscribe_page',
+    trackingId
+  });
+
+  const enrichment = enrichRequest(headers);
+  await eventStore.insertEvents([{
+    tracking_id: trackingId,
+    event_type: 'email_unsubscribed',
+    timestamp: new Date().toISOString(),
+    event_content: `${email} unsubscribed (${oneClick ? 'one-click' : 'unsubscribe page'})`,
+    user_agent: headers['user-agent'] || 'Unknown',
+    ip_address: enrichment.client_ip,
+    email_address: email,
+    recipient: '',
+    processed: false,
+    unsubscribe_method: oneClick ? 'one_click' : 'page'
+  }]);
+
+  console.log(`[UNSUBSCRIBE] Recorded opt-out of ${email} for ${trackingId}`);
+}
+
+/**
+ * GET shows a confirmation button (link scanners prefetch GETs, so they must not opt anyone out);
+ * POST records the opt-out - either the RFC 8058 one-click request from the mailbox provider
+ * (body List-Unsubscribe=One-Click) or the button on the GET page.
+ */
+exports.handler = async (event, context) => {
+  try {
+    const params = event.queryStringParameters || {};
+    const trackingId = params.tid;
+    const email = normalizeEmail(params.email);
+
+    if (!verifyUnsubscribeLink(trackingId, email, params.sig)) {
+      console.log(`[UNSUBSCRIBE] Invalid or unsigned unsubscribe link for ${trackingId}`);
+      return htmlPage(400, 'Invalid unsubscribe link', '<p>This unsubscribe link is invalid or has been altered. Please reply to the email and ask us to stop contacting you.</p>');
+    }
+
+    if (event.httpMethod === 'POST') {
+      const form = parseFormBody(event);
+      await recordUnsubscribe({
+        trackingId,
+        email,
+        oneClick: form['List-Unsubscribe'] === 'One-Click',
+        headers: event.headers || {}
+      });
+      return htmlPage(200, 'You have been unsubscribed', `<p><strong>${escapeHtml(email)}</strong> will not receive any more emails from this sender.</p>`);
+    }
+
+    if (event.httpMethod !== 'GET') {
+      return htmlPage(405, 'Method not allowed', '<p>Use the link in the email to unsubscribe.</p>');
+    }
+
+    const action = `?${new URLSearchParams({ tid: trackingId, email, sig: params.sig }).toString()}`;
+    return htmlPage(200, 'Unsubscribe', `<p>Stop sending emails to <strong>${escapeHtml(email)}</strong>?</p>
+        <form method="POST" action="${escapeHtml(action)}">
+            <button type="submit">Unsubscribe</button>
+        </form>`);
+
+  } catch (error) {
+    console.error('[UNSUBSCRIBE] Error handling unsubscribe:', error);
+    return htmlPage(500, 'Something went wrong', '<p>We could not process your request. Please try again later.</p>');
+  }
+};
@@ -1,7 +1,9 @@
 // Test the webhook locally with real environment variables
 require('dotenv').config({ path: '../.env' }); // Load env from parent directory
 
+const crypto = require('crypto');
 const { handler } = require('./functions/mailgun-webhook');
+const { signMailgunPayload } = require('./functions/mailgunSignature');
 
 // Test the webhook with a simulated email reply
 async function testWebhook() {
@@ -15,6 +17,10 @@ async function testWebhook() {
   });
   console.log('');
   
+  // Sign the request the same way Mailgun does (needs MAILGUN_WEBHOOK_SIGNING_KEY)
+  const timestamp = Math.floor(Date.now() / 1000).toString();
+  const token = crypto.randomBytes(25).toString('hex');
+  
   // Simulate a Mailgun webhook POST request with Central Time confirmation
   const testEvent = {
     httpMethod: 'POST',
@@ -28,7 +34,10 @@ async function testWebhook() {
       'body-plain': 'I\'m in Central Time (CST), so 6pm tomorrow Central Time would work perfect! My calendar is set to PST timezone by the way.',
       'Message-Id': '<test-message-id-3@gmail.com>',
       'References': '<default_1726935600000_a1b2c3d4@examarkchat.com>',
-      'In-Reply-To': '<default_1726935600000_a1b2c3d4@examarkchat.com>'
+      'In-Reply-To': '<default_1726935600000_a1b2c3d4@examarkchat.com>',
+      'timestamp': timestamp,
+      'token': token,
+      'signature': signMailgunPayload(timestamp, token)
     }).toString()
   };
 
@@ -126,6 +135,7 @@ async function runTest() {
   console.log('   OPENAI_API_KEY:', !!process.env.OPENAI_API_KEY);
   console.log('   MAILGUN_API_KEY:', !!process.env.MAILGUN_API_KEY);
   console.log('   MAILGUN_DOMAIN:', !!process.env.MAILGUN_DOMAIN);
+  console.log('   MAILGUN_WEBHOOK_SIGNING_KEY:', !!process.env.MAILGUN_WEBHOOK_SIGNING_KEY);
   console.log('');
   
   await testWebhook();
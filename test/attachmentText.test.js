@@ -0,0 +1,208 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const zlib = require('zlib');
+const {
+    processAttachments,
+    limitAttachmentText,
+    attachmentMetadata,
+    formatAttachmentsForAgent,
+    extractFileText,
+    detectKind,
+    MAX_TEXT_CHARS_PER_FILE
+} = require('../functions/attachmentText');
+
+const DOCX_TYPE = 'application/vnd.openxmlformats-officedocument.wordprocessingml.document';
+
+// A minimal zip archive: local headers, central directory, end record
+function buildZip(entries, { method = 8 } = {}) {
+    const locals = [];
+    const centrals = [];
+    let offset = 0;
+
+    for (const { name, content } of entries) {
+        const nameBuffer = Buffer.from(name);
+        const raw = Buffer.from(content);
+        const data = method === 8 ? zlib.deflateRawSync(raw) : raw;
+
+        const local = Buffer.alloc(30);
+        local.writeUInt32LE(0x04034b50, 0);
+        local.writeUInt16LE(method, 8);
+        local.writeUInt32LE(data.length, 18);
+        local.writeUInt32LE(raw.length, 22);
+        local.writeUInt16LE(nameBuffer.length, 26);
+        locals.push(local, nameBuffer, data);
+
+        const central = Buffer.alloc(46);
+        central.writeUInt32LE(0x02014b50, 0);
+        central.writeUInt16LE(method, 10);
+        central.writeUInt32LE(data.length, 20);
+        central.writeUInt32LE(raw.length, 24);
+        central.writeUInt16LE(nameBuffer.length, 28);
+        central.writeUInt32LE(offset, 42);
+        centrals.push(central, nameBuffer);
+
+        offset += local.length + nameBuffer.length + data.length;
+    }
+
+    const directory = Buffer.concat(centrals);
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054b50, 0);
+    end.writeUInt16LE(entries.length, 8);
+    end.writeUInt16LE(entries.length, 10);
+    end.writeUInt32LE(directory.length, 12);
+    end.writeUInt32LE(offset, 16);
+    return Buffer.concat([...locals, directory, end]);
+}
+
+function buildDocx(bodyXml, options) {
+    const documentXml = `<?xml version="1.0"?><w:document><w:body>${bodyXml}</w:body></w:document>`;
+    return buildZip([
+        { name: '[Content_Types].xml', content: '<Types/>' },
+        { name: 'word/document.xml', content: documentXml }
+    ], options);
+}
+
+// A PDF with one content stream per entry; { content, flate } or { raw, dictionary }
+function buildPdf(streams) {
+    const parts = [Buffer.from('%PDF-1.4\n')];
+    streams.forEach((stream, i) => {
+        const data = stream.raw || (stream.flate ? zlib.deflateSync(Buffer.from(stream.content, 'latin1')) : Buffer.from(stream.content, 'latin1'));
+        const dictionary = stream.dictionary || `<< /Length ${data.length}${stream.flate ? ' /Filter /FlateDecode' : ''} >>`;
+        parts.push(Buffer.from(`${i + 1} 0 obj\n${dictionary}\nstream\n`, 'latin1'), data, Buffer.from('\nendstream\nendobj\n'));
+    });
+    parts.push(Buffer.from('%%EOF\n'));
+    return Buffer.concat(parts);
+}
+
+test('detectKind uses the content type with the extension as a fallback', () => {
+    assert.equal(detectKind('quote.pdf', 'application/octet-stream'), 'pdf');
+    assert.equal(detectKind('file', 'application/pdf'), 'pdf');
+    assert.equal(detectKind('brief.docx', ''), 'docx');
+    assert.equal(detectKind('brief', DOCX_TYPE), 'docx');
+    assert.equal(detectKind('notes.csv', ''), 'text');
+    assert.equal(detectKind('x', 'text/plain'), 'text');
+    assert.equal(detectKind('photo.jpg', 'image/jpeg'), null);
+});
+
+test('extractFileText reads word/document.xml from a deflated DOCX', () => {
+    const data = buildDocx('<w:p><w:r><w:t>Hello</w:t><w:tab/><w:t>world &amp; more</w:t></w:r></w:p><w:p><w:r><w:t>Line&#x21;</w:t><w:br/><w:t>two</w:t></w:r></w:p>');
+    assert.equal(extractFileText({ filename: 'a.docx', contentType: DOCX_TYPE, data }), 'Hello world & more\nLine!\ntwo');
+});
+
+test('extractFileText reads a DOCX stored without compression', () => {
+    const data = buildDocx('<w:p><w:r><w:t>Stored text</w:t></w:r></w:p>', { method: 0 });
+    assert.equal(extractFileText({ filename: 'a.docx', data }), 'Stored text');
+});
+
+test('a DOCX without word/document.xml or a zip end record is rejected', () => {
+    const noDocument = buildZip([{ name: 'other.xml', content: '<x/>' }]);
+    assert.throws(() => extractFileText({ filename: 'a.docx', data: noDocument }), /word\/document\.xml not found/);
+    assert.throws(() => extractFileText({ filename: 'a.docx', data: Buffer.from('not a zip') }), /not a zip archive/);
+});
+
+test('extractFileText reads Tj, TJ and quote operators from plain and FlateDecode streams', () => {
+    const data = buildPdf([
+        { content: 'BT /F1 12 Tf 72 720 Td (Dear Ann,) Tj 0 -14 Td [(Sched) -20 (ule) -400 (attached)] TJ ET' },
+        { content: 'BT (Escaped \\(paren\\) and \\101) Tj (Next line) \' ET', flate: true }
+    ]);
+    assert.equal(extractFileText({ filename: 'a.pdf', contentType: 'application/pdf', data }),
+        'Dear Ann,\nSchedule attached\n\nEscaped (paren) and A\nNext line');
+});
+
+test('PDF hex strings decode as two-byte CIDs or single bytes', () => {
+    const data = buildPdf([{ content: 'BT <00480069> Tj 10 0 Td <4F4B> Tj ET' }]);
+    assert.equal(extractFileText({ filename: 'a.pdf', data }), 'Hi OK');
+});
+
+test('PDF streams with other filters, images and broken deflate data are skipped', () => {
+    const data = buildPdf([
+        { raw: Buffer.from('BT (Encoded) Tj ET'), dictionary: '<< /Filter /DCTDecode >>' },
+        { raw: Buffer.from('BT (Picture) Tj ET'), dictionary: '<< /Subtype /Image >>' },
+        { raw: Buffer.from('garbage that does not inflate'), dictionary: '<< /Filter /FlateDecode >>' },
+        { content: 'BT (Kept) Tj ET' }
+    ]);
+    assert.equal(extractFileText({ filename: 'a.pdf', data }), 'Kept');
+});
+
+test('PDF lines made of unmapped glyph ids are dropped', () => {
+    const data = buildPdf([{ content: 'BT (\\001\\002\\003\\004) Tj T* (Readable) Tj ET' }]);
+    assert.equal(extractFileText({ filename: 'a.pdf', data }), 'Readable');
+});
+
+test('extractFileText returns null for unsupported types', () => {
+    assert.equal(extractFileText({ filename: 'a.png', contentType: 'image/png', data: Buffer.from('x') }), null);
+});
+
+test('processAttachments records every file and says why text was skipped', () => {
+    const attachments = processAttachments([
+        { filename: 'notes.txt', contentType: 'text/plain', data: Buffer.from('  Some   notes \r\n\r\n\r\n\r\nend ') },
+        { filename: 'photo.jpg', contentType: 'image/jpeg', data: Buffer.from('jpeg') },
+        { filename: 'empty.txt', contentType: 'text/plain', data: Buffer.from('   ') },
+        { filename: 'broken.docx', contentType: DOCX_TYPE, data: Buffer.from('nope') },
+        { contentType: '', data: Buffer.from('') }
+    ]);
+
+    assert.deepEqual(attachments[0], {
+        name: 'notes.txt', content_type: 'text/plain', size: 27,
+        extracted: true, text: 'Some notes\n\nend', truncated: false, skipped_reason: ''
+    });
+    assert.equal(attachments[1].skipped_reason, 'unsupported_type');
+    assert.equal(attachments[2].skipped_reason, 'no_text');
+    assert.equal(attachments[3].skipped_reason, 'unreadable');
+    assert.equal(attachments[4].name, 'unnamed');
+    assert.equal(attachments[4].content_type, 'application/octet-stream');
+});
+
+test('processAttachments skips files over ATTACHMENT_MAX_EXTRACT_BYTES', (t) => {
+    process.env.ATTACHMENT_MAX_EXTRACT_BYTES = '4';
+    t.after(() => { delete process.env.ATTACHMENT_MAX_EXTRACT_BYTES; });
+
+    const [attachment] = processAttachments([{ filename: 'a.txt', data: Buffer.from('12345') }]);
+    assert.equal(attachment.extracted, false);
+    assert.equal(attachment.skipped_reason, 'too_large');
+});
+
+test('processAttachments truncates per file and stops at the message total', () => {
+    const long = Buffer.from('a'.repeat(MAX_TEXT_CHARS_PER_FILE + 10));
+    const attachments = processAttachments([
+        { filename: '1.txt', data: long },
+        { filename: '2.txt', data: long },
+        { filename: '3.txt', data: long }
+    ]);
+
+    assert.equal(attachments[0].text.length, MAX_TEXT_CHARS_PER_FILE);
+    assert.equal(attachments[0].truncated, true);
+    assert.equal(attachments[1].text.length, MAX_TEXT_CHARS_PER_FILE);
+    assert.equal(attachments[2].extracted, false);
+    assert.equal(attachments[2].skipped_reason, 'text_limit_reached');
+});
+
+test('limitAttachmentText trims to a UTF-8 byte budget without splitting characters', () => {
+    const attachments = [
+        { name: 'a', extracted: true, text: 'ééé', truncated: false, skipped_reason: '' },
+        { name: 'b', extracted: true, text: 'more', truncated: false, skipped_reason: '' },
+        { name: 'c', extracted: false, text: '', truncated: false, skipped_reason: 'unsupported_type' }
+    ];
+    const limited = limitAttachmentText(attachments, 4);
+
+    assert.equal(limited[0].text, 'éé');
+    assert.equal(limited[0].truncated, true);
+    assert.deepEqual(limited[1], { name: 'b', extracted: false, text: '', truncated: false, skipped_reason: 'text_limit_reached' });
+    assert.equal(limited[2], attachments[2]);
+    assert.equal(limitAttachmentText(attachments, 100)[0], attachments[0]);
+});
+
+test('attachmentMetadata replaces the text with its length', () => {
+    assert.deepEqual(attachmentMetadata([{ name: 'a', extracted: true, text: 'abc' }]), [{ name: 'a', extracted: true, text_chars: 3 }]);
+});
+
+test('formatAttachmentsForAgent lists every file with its text or skip reason', () => {
+    assert.equal(formatAttachmentsForAgent([]), '');
+    const text = formatAttachmentsForAgent([
+        { name: 'a.txt', content_type: 'text/plain', size: 3, extracted: true, text: 'abc', truncated: true },
+        { name: 'b.jpg', content_type: 'image/jpeg', size: 9, extracted: false, text: '', skipped_reason: 'unsupported_type' }
+    ]);
+    assert.equal(text, 'ATTACHMENTS (2):\n'
+        + '--- a.txt (text/plain, 3 bytes) ---\nabc\n[Text truncated]\n\n'
+        + '--- b.jpg (image/jpeg, 9 bytes) ---\n[No text available: unsupported_type]');
+});
@@ -0,0 +1,36 @@
+process.env.DATA_STORE_BACKEND = 'memory';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { claimStore } = require('../functions/claimStore');
+
+function inFuture(seconds) {
+    return new Date(Date.now() + seconds * 1000).toISOString();
+}
+
+test('only one of several concurrent contenders wins a key', async () => {
+    const results = await Promise.all([1, 2, 3, 4].map(() => claimStore.claim('test:concurrent')));
+    assert.equal(results.filter(result => result.claimed).length, 1);
+});
+
+test('a held key reports its holder until released', async () => {
+    const first = await claimStore.claim('test:held', { expiresAt: inFuture(60) });
+    assert.equal(first.claimed, true);
+
+    const second = await claimStore.claim('test:held');
+    assert.equal(second.claimed, false);
+    assert.equal(second.holder.claim_token, first.claimToken);
+
+    await claimStore.release('test:held', 'not-the-holder');
+    assert.equal((await claimStore.claim('test:held')).claimed, false);
+
+    await claimStore.release('test:held', first.claimToken);
+    assert.equal((await claimStore.claim('test:held')).claimed, true);
+});
+
+test('an expired claim no longer blocks the key', async () => {
+    const expiresAt = inFuture(0.05);
+    assert.equal((await claimStore.claim('test:expiring', { expiresAt })).claimed, true);
+    await new Promise(resolve => setTimeout(resolve, 100));
+    assert.equal((await claimStore.claim('test:expiring', { expiresAt: inFuture(60) })).claimed, true);
+});
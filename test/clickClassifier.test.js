@@ -0,0 +1,69 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { classifyClick } = require('../functions/clickClassifier');
+
+const BROWSER = 'Mozilla/5.0 (Macintosh; Intel Mac OS X 14_0) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.0 Safari/605.1.15';
+
+test('clicks without a user agent are scanners', () => {
+    assert.deepEqual(classifyClick({}), { click_classification: 'scanner', reason: 'missing_user_agent', scanner_source: null, burst: [] });
+});
+
+test('known gateways are recognised by user agent or egress range', () => {
+    assert.equal(classifyClick({ userAgent: 'Mimecast-Scanner/1.0' }).scanner_source, 'mimecast');
+    const safeLinks = classifyClick({ userAgent: BROWSER, ipAddress: '40.94.1.2' });
+    assert.equal(safeLinks.click_classification, 'scanner');
+    assert.equal(safeLinks.reason, 'ip_range');
+    assert.equal(safeLinks.scanner_source, 'microsoft_safe_links');
+    assert.equal(classifyClick({ userAgent: BROWSER, ipAddress: '148.163.130.1' }).scanner_source, 'proofpoint');
+});
+
+test('automated user agents are scanners', () => {
+    assert.equal(classifyClick({ userAgent: 'python-requests/2.31' }).reason, 'scanner_user_agent');
+    assert.equal(classifyClick({ userAgent: 'Apache-HttpClient/4.5' }).reason, 'scanner_user_agent');
+});
+
+test('clicks right after sending are scanners', () => {
+    const sentAt = '2025-03-01T10:00:00Z';
+    assert.equal(classifyClick({ userAgent: BROWSER, sentAt, clickedAt: '2025-03-01T10:00:10Z' }).reason, 'clicked_immediately_after_send');
+    assert.equal(classifyClick({ userAgent: BROWSER, sentAt, clickedAt: '2025-03-01T10:02:00Z' }).click_classification, 'human');
+});
+
+test('several distinct links within the burst window are a scanner walking the email', () => {
+    const clickedAt = '2025-03-01T12:00:05Z';
+    const recentClicks = [
+        { timestamp: '2025-03-01T12:00:01Z', clicked_url: 'https://example.com/a' },
+        { timestamp: '2025-03-01T12:00:03Z', clicked_url: 'https://example.com/b' },
+        { timestamp: '2025-03-01T11:00:00Z', clicked_url: 'https://example.com/old' }
+    ];
+
+    const result = classifyClick({ userAgent: BROWSER, clickedUrl: 'https://example.com/c', clickedAt, recentClicks });
+    assert.equal(result.reason, 'click_burst');
+    assert.deepEqual(result.burst, recentClicks.slice(0, 2));
+
+    const sameLink = classifyClick({
+        userAgent: BROWSER,
+        clickedUrl: 'https://example.com/a',
+        clickedAt,
+        recentClicks: [recentClicks[0], { ...recentClicks[1], clicked_url: 'https://example.com/a' }]
+    });
+    assert.equal(sameLink.click_classification, 'human');
+});
+
+test('the burst threshold is configurable', (t) => {
+    process.env.CLICK_BURST_LINKS = '2';
+    t.after(() => { delete process.env.CLICK_BURST_LINKS; });
+
+    const result = classifyClick({
+        userAgent: BROWSER,
+        clickedUrl: 'https://example.com/b',
+        clickedAt: '2025-03-01T12:00:05Z',
+        recentClicks: [{ timestamp: '2025-03-01T12:00:00Z', clicked_url: 'https://example.com/a' }]
+    });
+    assert.equal(result.reason, 'click_burst');
+});
+
+test('an ordinary browser click is human', () => {
+    assert.deepEqual(classifyClick({ userAgent: BROWSER, ipAddress: '203.0.113.9', clickedUrl: 'https://example.com' }), {
+        click_classification: 'human', reason: 'no_scanner_signals', scanner_source: null, burst: []
+    });
+});
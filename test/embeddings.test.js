@@ -0,0 +1,60 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { getEmbeddingProvider, registerEmbeddingProvider, tokenize } = require('../functions/embeddings');
+
+function cosine(a, b) {
+    return a.reduce((sum, value, i) => sum + value * b[i], 0);
+}
+
+test('tokenize lowercases and keeps letters and digits in any script', () => {
+    assert.deepEqual(tokenize('Hello, World! Price: $49.99 — Größe'), ['hello', 'world', 'price', '49', '99', 'größe']);
+    assert.deepEqual(tokenize(null), []);
+    assert.deepEqual(tokenize('...'), []);
+});
+
+test('the local provider gives deterministic unit vectors', async () => {
+    const provider = getEmbeddingProvider('local');
+    assert.equal(provider.name, 'local');
+    assert.equal(provider.model, 'local-hash-256');
+
+    const [first, again, empty] = await provider.embed(['pricing for teams', 'pricing for teams', '']);
+    assert.equal(first.length, provider.dimension);
+    assert.deepEqual(first, again);
+    assert.ok(Math.abs(cosine(first, first) - 1) < 1e-9);
+    assert.ok(empty.every(value => value === 0));
+});
+
+test('local vectors for texts sharing words are closer than unrelated ones', async () => {
+    const provider = getEmbeddingProvider('local');
+    const [question, related, unrelated] = await provider.embed([
+        'how much does the team plan cost per month',
+        'the team plan cost is 49 dollars per month',
+        'our office is closed on public holidays'
+    ]);
+    assert.ok(cosine(question, related) > cosine(question, unrelated));
+});
+
+test('the openai provider needs a known model or EMBEDDING_DIMENSION', (t) => {
+    const saved = { model: process.env.EMBEDDING_MODEL, dimension: process.env.EMBEDDING_DIMENSION };
+    t.after(() => {
+        for (const [name, value] of [['EMBEDDING_MODEL', saved.model], ['EMBEDDING_DIMENSION', saved.dimension]]) {
+            if (value === undefined) delete process.env[name];
+            else process.env[name] = value;
+        }
+    });
+
+    delete process.env.EMBEDDING_MODEL;
+    delete process.env.EMBEDDING_DIMENSION;
+    assert.equal(getEmbeddingProvider('openai').dimension, 1536);
+
+    process.env.EMBEDDING_MODEL = 'custom-model';
+    assert.throws(() => getEmbeddingProvider('openai'), /set EMBEDDING_DIMENSION/);
+    process.env.EMBEDDING_DIMENSION = '64';
+    assert.equal(getEmbeddingProvider('OpenAI').dimension, 64);
+});
+
+test('providers can be registered and unknown names are rejected', () => {
+    registerEmbeddingProvider('fixed', () => ({ name: 'fixed', model: 'fixed-1', dimension: 1, embed: async texts => texts.map(() => [1]) }));
+    assert.equal(getEmbeddingProvider(' Fixed ').model, 'fixed-1');
+    assert.throws(() => getEmbeddingProvider('nope'), /Unknown EMBEDDING_PROVIDER: nope/);
+});
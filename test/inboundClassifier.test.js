@@ -0,0 +1,83 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { classifyInbound, extractReturnDate } = require('../functions/inboundClassifier');
+
+const receivedAt = new Date('2025-03-01T12:00:00Z');
+
+function classify(message) {
+    return classifyInbound({ from: 'Lead <lead@example.com>', subject: 'Re: Pricing', body: 'Sounds good', receivedAt, ...message });
+}
+
+test('a plain reply is human', () => {
+    assert.deepEqual(classify({}), {
+        classification: 'human',
+        reason: 'no_automation_signals',
+        ooo_return_date: null
+    });
+});
+
+test('our own sender or Message-ID is a mail loop', () => {
+    assert.equal(classify({ from: 'replies@mg.examarkchat.com' }).reason, 'own_sender');
+    assert.equal(classify({ messageId: 'ai-response-123@mg.examarkchat.com' }).reason, 'own_message_id');
+});
+
+test('delivery failures are bounces', () => {
+    assert.equal(classify({ headers: { 'content-type': 'multipart/report; report-type=delivery-status' } }).classification, 'bounce');
+    assert.equal(classify({ headers: { 'x-failed-recipients': 'lead@example.com' } }).reason, 'x_failed_recipients');
+    assert.equal(classify({ from: 'MAILER-DAEMON@mx.example.com' }).reason, 'bounce_sender');
+    assert.equal(classify({ subject: 'Undeliverable: Pricing' }).reason, 'bounce_subject');
+});
+
+test('out-of-office replies carry the return date they state', () => {
+    const result = classify({
+        headers: { 'auto-submitted': 'auto-replied' },
+        subject: 'Automatic reply: Pricing',
+        body: 'I am out of the office and will be back on March 10th.'
+    });
+    assert.equal(result.classification, 'out_of_office');
+    assert.equal(result.reason, 'auto_submitted_header');
+    assert.equal(result.ooo_return_date, '2025-03-10');
+});
+
+test('an OOO subject is enough without headers', () => {
+    const result = classify({ subject: 'Out of Office', body: 'Back on 2025-03-04' });
+    assert.equal(result.reason, 'ooo_subject');
+    assert.equal(result.ooo_return_date, '2025-03-04');
+});
+
+test('auto-submitted mail that is not OOO is an auto reply', () => {
+    assert.equal(classify({ headers: { 'auto-submitted': 'auto-generated' } }).classification, 'auto_reply');
+    assert.equal(classify({ headers: { 'auto-submitted': 'no' } }).classification, 'human');
+    assert.equal(classify({ from: 'no-reply@vendor.com' }).reason, 'no_reply_sender');
+    assert.equal(classify({ subject: 'Thank you for contacting us' }).reason, 'auto_reply_subject');
+});
+
+test('list and bulk mail is bulk', () => {
+    assert.equal(classify({ headers: { precedence: 'bulk' } }).reason, 'precedence_bulk');
+    assert.equal(classify({ headers: { 'list-id': '<news.example.com>' } }).reason, 'list_id');
+});
+
+test('a short OOO body asking to contact someone else is OOO, a long reply mentioning a vacation is not', () => {
+    const notice = classify({ body: 'I am on vacation until 3/12. For urgent matters please contact sales@example.com.' });
+    assert.equal(notice.classification, 'out_of_office');
+    assert.equal(notice.ooo_return_date, '2025-03-12');
+
+    const reply = classify({ body: `I'm on vacation until Friday, so please contact me next week. ${'We liked the demo. '.repeat(40)}` });
+    assert.equal(reply.classification, 'human');
+});
+
+test('extractReturnDate reads the common date styles', () => {
+    assert.equal(extractReturnDate('Returning Monday, March 3, 2025', receivedAt), '2025-03-03');
+    assert.equal(extractReturnDate('back in the office on the 3rd of April', receivedAt), '2025-04-03');
+    assert.equal(extractReturnDate('Away until 12/02/26', receivedAt), '2026-12-02');
+    assert.equal(extractReturnDate('No date mentioned here', receivedAt), null);
+});
+
+test('extractReturnDate puts dates without a year on or after the message', () => {
+    assert.equal(extractReturnDate('back on January 5', new Date('2025-12-20T00:00:00Z')), '2026-01-05');
+    assert.equal(extractReturnDate('back on March 1', receivedAt), '2025-03-01');
+});
+
+test('extractReturnDate skips impossible dates', () => {
+    assert.equal(extractReturnDate('back on 2025-02-30', receivedAt), null);
+});
@@ -0,0 +1,67 @@
+process.env.DATA_STORE_BACKEND = 'memory';
+process.env.EMBEDDING_PROVIDER = 'local';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { knowledgeBase, chunkText } = require('../functions/knowledgeBase');
+
+test('chunkText keeps short documents whole and tidies whitespace', () => {
+    assert.deepEqual(chunkText('  First   line.\r\n\r\nSecond paragraph!  '), ['First line.\n\nSecond paragraph!']);
+    assert.deepEqual(chunkText('   \n\n  '), []);
+});
+
+test('chunkText splits on sentences and carries the overlap into the next chunk', () => {
+    const sentences = Array.from({ length: 6 }, (_, i) => `Sentence number ${i} is here.`);
+    const pieces = chunkText(sentences.join(' '), { maxChars: 70, overlapChars: 30 });
+
+    assert.deepEqual(pieces, [
+        `${sentences[0]} ${sentences[1]}`,
+        `${sentences[1]} ${sentences[2]}`,
+        `${sentences[2]} ${sentences[3]}`,
+        `${sentences[3]} ${sentences[4]}`,
+        `${sentences[4]} ${sentences[5]}`
+    ]);
+    assert.ok(pieces.every(piece => piece.length <= 70));
+});
+
+test('chunkText hard-splits a sentence longer than a chunk', () => {
+    const pieces = chunkText('x'.repeat(25), { maxChars: 10, overlapChars: 0 });
+    assert.deepEqual(pieces, ['x'.repeat(10), 'x'.repeat(10), 'x'.repeat(5)]);
+});
+
+test('documents are stored, listed, read back, searched and replaced per user', async () => {
+    const pricing = await knowledgeBase.addDocument({
+        userId: 'u1',
+        title: 'Pricing',
+        docType: 'pricing',
+        content: 'The team plan costs 49 dollars per month. Annual billing saves two months.'
+    });
+    await knowledgeBase.addDocument({ userId: 'u1', title: 'Office', content: 'The office is closed on public holidays.' });
+    await knowledgeBase.addDocument({ userId: 'u2', title: 'Other user', content: 'The team plan costs 99 dollars per month.' });
+
+    assert.equal(pricing.chunk_count, 1);
+    assert.equal(pricing.embedding_model, 'local-hash-256');
+
+    const { documents } = await knowledgeBase.listDocuments('u1');
+    assert.deepEqual(documents.map(doc => doc.title).sort(), ['Office', 'Pricing']);
+    assert.equal(documents[0].text, undefined);
+
+    const stored = await knowledgeBase.getDocument('u1', pricing.doc_id);
+    assert.equal(stored.doc_type, 'pricing');
+    assert.deepEqual(stored.chunks, ['The team plan costs 49 dollars per month. Annual billing saves two months.']);
+    assert.equal(await knowledgeBase.getDocument('u2', pricing.doc_id), null);
+
+    const results = await knowledgeBase.search('u1', 'how much does the team plan cost per month', { limit: 2 });
+    assert.equal(results[0].doc_id, pricing.doc_id);
+    assert.ok(results.every(result => result.user_id === 'u1' && result.embedding === undefined));
+
+    await knowledgeBase.addDocument({ userId: 'u1', title: 'Pricing', content: 'Now 59 dollars.', docId: pricing.doc_id });
+    assert.deepEqual((await knowledgeBase.getDocument('u1', pricing.doc_id)).chunks, ['Now 59 dollars.']);
+
+    await knowledgeBase.deleteDocument('u1', pricing.doc_id);
+    assert.equal(await knowledgeBase.getDocument('u1', pricing.doc_id), null);
+});
+
+test('addDocument rejects a document with no text', async () => {
+    await assert.rejects(knowledgeBase.addDocument({ userId: 'u1', title: 'Empty', content: '  ' }), /no text/);
+});
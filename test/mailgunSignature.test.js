@@ -0,0 +1,68 @@
+process.env.DATA_STORE_BACKEND = 'memory';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { verifyMailgunSignature, isRetryOfFailedDelivery, signMailgunPayload } = require('../functions/mailgunSignature');
+
+const SIGNING_KEY = 'test-signing-key';
+// Seen tokens are claimed until timestamp + max age on the real clock, so sign with it
+const NOW = Math.floor(Date.now() / 1000) * 1000;
+const NOW_SECONDS = String(NOW / 1000);
+
+let tokenCount = 0;
+function signed(timestamp = NOW_SECONDS) {
+    const token = `token-${++tokenCount}`;
+    return { timestamp, token, signature: signMailgunPayload(timestamp, token, SIGNING_KEY) };
+}
+
+const options = { signingKey: SIGNING_KEY, now: NOW };
+
+test('a fresh, correctly signed request is valid once', async () => {
+    const fields = signed();
+    assert.deepEqual(await verifyMailgunSignature(fields, options), { valid: true });
+    assert.deepEqual(await verifyMailgunSignature(fields, options), { valid: false, reason: 'replayed_token', signatureValid: true });
+});
+
+test('requests without a key, fields or a matching signature are rejected', async () => {
+    const fields = signed();
+    assert.equal((await verifyMailgunSignature(fields, { now: NOW, signingKey: '' })).reason, 'signing_key_not_configured');
+    assert.equal((await verifyMailgunSignature({ ...fields, signature: '' }, options)).reason, 'missing_signature_fields');
+    assert.equal((await verifyMailgunSignature({ ...fields, signature: 'zz' }, options)).reason, 'signature_mismatch');
+
+    const tampered = await verifyMailgunSignature({ ...fields, token: `${fields.token}x` }, options);
+    assert.deepEqual(tampered, { valid: false, reason: 'signature_mismatch' });
+
+    const otherKey = await verifyMailgunSignature(fields, { ...options, signingKey: 'other-key' });
+    assert.equal(otherKey.reason, 'signature_mismatch');
+    assert.equal(otherKey.signatureValid, undefined);
+});
+
+test('timestamps outside the max age are stale but correctly signed', async () => {
+    const old = signed(String(NOW / 1000 - 301));
+    assert.deepEqual(await verifyMailgunSignature(old, options), { valid: false, reason: 'stale_timestamp', signatureValid: true });
+    assert.equal((await verifyMailgunSignature(old, { ...options, maxAgeSeconds: 600 })).valid, true);
+
+    const future = signed(String(NOW / 1000 + 301));
+    assert.equal((await verifyMailgunSignature(future, options)).reason, 'stale_timestamp');
+    assert.equal((await verifyMailgunSignature(signed('not-a-number'), options)).reason, 'stale_timestamp');
+});
+
+test('the max age comes from MAILGUN_SIGNATURE_MAX_AGE', async (t) => {
+    process.env.MAILGUN_SIGNATURE_MAX_AGE = '30';
+    t.after(() => { delete process.env.MAILGUN_SIGNATURE_MAX_AGE; });
+    assert.equal((await verifyMailgunSignature(signed(String(NOW / 1000 - 60)), options)).reason, 'stale_timestamp');
+});
+
+test('isRetryOfFailedDelivery needs a failed record with the same timestamp and token', () => {
+    const fields = { timestamp: '1700000000', token: 'abc' };
+    const record = { state: 'failed', mailgun_timestamp: '1700000000', mailgun_token: 'abc' };
+
+    assert.equal(isRetryOfFailedDelivery(fields, record), true);
+    assert.equal(isRetryOfFailedDelivery({ ...fields, timestamp: 1700000000 }, record), true);
+    assert.equal(isRetryOfFailedDelivery(fields, { ...record, state: 'completed' }), false);
+    assert.equal(isRetryOfFailedDelivery({ ...fields, token: 'other' }, record), false);
+    assert.equal(isRetryOfFailedDelivery({ ...fields, timestamp: '1700000001' }, record), false);
+    assert.equal(isRetryOfFailedDelivery(fields, { state: 'failed' }), false);
+    assert.equal(isRetryOfFailedDelivery(fields, null), false);
+    assert.equal(isRetryOfFailedDelivery({}, { state: 'failed', mailgun_token: '', mailgun_timestamp: '' }), false);
+});
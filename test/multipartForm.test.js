@@ -0,0 +1,79 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseMultipartForm, isMultipart, getBoundary } = require('../functions/multipartForm');
+
+const BOUNDARY = '----form7MA4YWxk';
+const CONTENT_TYPE = `multipart/form-data; boundary=${BOUNDARY}`;
+
+function buildForm(parts) {
+    const chunks = parts.map(({ headers, content }) => Buffer.concat([
+        Buffer.from(`--${BOUNDARY}\r\n${headers.join('\r\n')}\r\n\r\n`),
+        Buffer.from(content),
+        Buffer.from('\r\n')
+    ]));
+    return Buffer.concat([...chunks, Buffer.from(`--${BOUNDARY}--\r\n`)]);
+}
+
+test('isMultipart recognises multipart/form-data only', () => {
+    assert.equal(isMultipart(CONTENT_TYPE), true);
+    assert.equal(isMultipart('Multipart/Form-Data; boundary=x'), true);
+    assert.equal(isMultipart('application/x-www-form-urlencoded'), false);
+    assert.equal(isMultipart(undefined), false);
+});
+
+test('getBoundary reads quoted and bare boundaries', () => {
+    assert.equal(getBoundary(CONTENT_TYPE), BOUNDARY);
+    assert.equal(getBoundary('multipart/form-data; boundary="a b;c"; charset=utf-8'), 'a b;c');
+    assert.equal(getBoundary('multipart/form-data; BOUNDARY=abc; charset=utf-8'), 'abc');
+    assert.equal(getBoundary('multipart/form-data'), null);
+});
+
+test('parseMultipartForm separates fields from files and keeps binary data intact', () => {
+    const binary = Buffer.from([0x00, 0xff, 0x0d, 0x0a, 0x2d, 0x2d, 0x80]);
+    const body = buildForm([
+        { headers: ['Content-Disposition: form-data; name="sender"'], content: 'ann@example.com' },
+        { headers: ['Content-Disposition: form-data; name="body-plain"'], content: 'Héllo\r\nthere' },
+        {
+            headers: ['Content-Disposition: form-data; name="attachment-1"; filename="data.bin"', 'Content-Type: Application/Octet-Stream; name=data.bin'],
+            content: binary
+        },
+        { headers: ['Content-Disposition: form-data; name="attachment-2"; filename="notes.txt"'], content: 'notes' }
+    ]);
+
+    const { fields, files } = parseMultipartForm(body, CONTENT_TYPE);
+
+    assert.deepEqual(fields, { sender: 'ann@example.com', 'body-plain': 'Héllo\r\nthere' });
+    assert.equal(files.length, 2);
+    assert.equal(files[0].field, 'attachment-1');
+    assert.equal(files[0].filename, 'data.bin');
+    assert.equal(files[0].contentType, 'application/octet-stream');
+    assert.deepEqual(files[0].data, binary);
+    assert.equal(files[1].contentType, 'application/octet-stream');
+    assert.equal(files[1].data.toString(), 'notes');
+});
+
+test('parseMultipartForm decodes escaped and RFC 5987 filenames', () => {
+    const body = buildForm([
+        { headers: ['Content-Disposition: form-data; name="attachment-1"; filename="say \\"hi\\".txt"'], content: 'a' },
+        { headers: ["Content-Disposition: form-data; name=\"attachment-2\"; filename=\"fallback.pdf\"; filename*=UTF-8''r%C3%A9sum%C3%A9.pdf"], content: 'b' },
+        { headers: ['Content-Disposition: form-data; name=bare; filename=plain.csv'], content: 'c' }
+    ]);
+
+    const { files } = parseMultipartForm(body, CONTENT_TYPE);
+    assert.deepEqual(files.map(file => file.filename), ['say "hi".txt', 'résumé.pdf', 'plain.csv']);
+    assert.equal(files[2].field, 'bare');
+});
+
+test('parseMultipartForm accepts a binary string body', () => {
+    const body = buildForm([{ headers: ['Content-Disposition: form-data; name="subject"'], content: 'Hi' }]).toString('binary');
+    assert.deepEqual(parseMultipartForm(body, CONTENT_TYPE).fields, { subject: 'Hi' });
+});
+
+test('parseMultipartForm stops at an unterminated part', () => {
+    const body = `--${BOUNDARY}\r\nContent-Disposition: form-data; name="a"\r\n\r\n1\r\n--${BOUNDARY}\r\nContent-Disposition: form-data; name="b"\r\n\r\n2`;
+    assert.deepEqual(parseMultipartForm(body, CONTENT_TYPE), { fields: { a: '1' }, files: [] });
+});
+
+test('parseMultipartForm requires a boundary', () => {
+    assert.throws(() => parseMultipartForm('', 'multipart/form-data'), /without a boundary/);
+});
@@ -0,0 +1,37 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { classifyOpen, OPEN_CLASSES } = require('../functions/openClassifier');
+
+const BROWSER = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0 Safari/537.36';
+
+test('OPEN_CLASSES lists the classes from most to least trusted', () => {
+    assert.deepEqual(OPEN_CLASSES, ['human', 'proxy_prefetch', 'bot']);
+});
+
+test('opens without a user agent or from bots are bots', () => {
+    assert.deepEqual(classifyOpen({}), { classification: 'bot', reason: 'missing_user_agent', proxy_source: null });
+    assert.equal(classifyOpen({ userAgent: 'Unknown' }).reason, 'missing_user_agent');
+    assert.equal(classifyOpen({ userAgent: 'curl/8.4.0' }).reason, 'bot_user_agent');
+    assert.equal(classifyOpen({ userAgent: 'Mozilla/5.0 (compatible; Googlebot/2.1)' }).classification, 'bot');
+});
+
+test('image proxies are recognised by user agent or egress range', () => {
+    assert.deepEqual(classifyOpen({ userAgent: 'Mozilla/5.0' }), { classification: 'proxy_prefetch', reason: 'user_agent', proxy_source: 'apple_mpp' });
+    assert.equal(classifyOpen({ userAgent: 'Mozilla/5.0 via ggpht.com GoogleImageProxy' }).proxy_source, 'gmail_image_proxy');
+    assert.deepEqual(classifyOpen({ userAgent: BROWSER, ipAddress: '40.107.22.5' }), { classification: 'proxy_prefetch', reason: 'ip_range', proxy_source: 'outlook_image_proxy' });
+    assert.equal(classifyOpen({ userAgent: BROWSER, ipAddress: '2001:4860:4000::1' }).proxy_source, 'gmail_image_proxy');
+});
+
+test('opens right after sending are prefetches', (t) => {
+    const sentAt = '2025-03-01T10:00:00Z';
+    assert.equal(classifyOpen({ userAgent: BROWSER, sentAt, openedAt: '2025-03-01T10:00:20Z' }).reason, 'opened_immediately_after_send');
+    assert.equal(classifyOpen({ userAgent: BROWSER, sentAt, openedAt: '2025-03-01T10:05:00Z' }).classification, 'human');
+
+    process.env.OPEN_PREFETCH_WINDOW_SECONDS = '600';
+    t.after(() => { delete process.env.OPEN_PREFETCH_WINDOW_SECONDS; });
+    assert.equal(classifyOpen({ userAgent: BROWSER, sentAt, openedAt: '2025-03-01T10:05:00Z' }).classification, 'proxy_prefetch');
+});
+
+test('a browser from an ordinary address is a human open', () => {
+    assert.deepEqual(classifyOpen({ userAgent: BROWSER, ipAddress: '203.0.113.9' }), { classification: 'human', reason: 'no_machine_signals', proxy_source: null });
+});
@@ -0,0 +1,82 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    validateSettings,
+    mergeSettings,
+    stripUnknownSettings,
+    resolveSettings,
+    SETTINGS_DEFAULTS
+} = require('../functions/settingsSchema');
+
+const VALID = {
+    company_name: 'ExaMark',
+    ai_assistant_name: 'Ava',
+    timezone: 'Europe/Berlin'
+};
+
+test('validateSettings accepts a complete object and normalises domains', () => {
+    const result = validateSettings({ ...VALID, click_allowed_domains: [' Example.COM ', '*.docs.example.com'] });
+    assert.equal(result.success, true);
+    assert.deepEqual(result.data.click_allowed_domains, ['example.com', '*.docs.example.com']);
+});
+
+test('validateSettings reports each problem with its path', () => {
+    const result = validateSettings({
+        company_name: ' ',
+        timezone: 'Nowhere/Special',
+        meeting_pushiness: 'extreme',
+        click_allowed_domains: ['not a domain']
+    });
+    assert.equal(result.success, false);
+    const paths = result.issues.map(issue => issue.path);
+    assert.ok(paths.includes('company_name'));
+    assert.ok(paths.includes('ai_assistant_name'));
+    assert.ok(paths.includes('meeting_pushiness'));
+    assert.ok(paths.includes('click_allowed_domains.0'));
+    const timezone = result.issues.find(issue => issue.path === 'timezone');
+    assert.match(timezone.message, /IANA timezone/);
+});
+
+test('validateSettings rejects unknown keys', () => {
+    const result = validateSettings({ ...VALID, compnay_name: 'typo' });
+    assert.equal(result.success, false);
+    assert.equal(result.issues[0].path, '(root)');
+    assert.match(result.issues[0].message, /compnay_name/);
+});
+
+test('mergeSettings replaces keys and removes those patched to null', () => {
+    const merged = mergeSettings({ ...VALID, product_name: 'Old' }, { product_name: null, response_tone: 'casual' });
+    assert.deepEqual(merged, { ...VALID, response_tone: 'casual' });
+});
+
+test('stripUnknownSettings drops keys the schema does not know', () => {
+    assert.deepEqual(stripUnknownSettings({ ...VALID, legacy_flag: true, old_name: 'x' }), {
+        value: VALID,
+        dropped: ['legacy_flag', 'old_name']
+    });
+    assert.deepEqual(stripUnknownSettings(null), { value: {}, dropped: [] });
+});
+
+test('resolveSettings fills missing and invalid fields with defaults', () => {
+    const resolved = resolveSettings({
+        company_name: 'ExaMark',
+        timezone: 'Invalid/Zone',
+        technical_depth: 'high',
+        value_propositions: 'not an array',
+        show_ai_disclaimer: null,
+        unknown_key: 'ignored'
+    });
+
+    assert.deepEqual(Object.keys(resolved).sort(), Object.keys(SETTINGS_DEFAULTS).sort());
+    assert.equal(resolved.company_name, 'ExaMark');
+    assert.equal(resolved.product_name, 'ExaMark');
+    assert.equal(resolved.timezone, SETTINGS_DEFAULTS.timezone);
+    assert.equal(resolved.technical_depth, 'high');
+    assert.deepEqual(resolved.value_propositions, []);
+    assert.equal(resolved.show_ai_disclaimer, false);
+});
+
+test('resolveSettings copes with nothing stored', () => {
+    assert.deepEqual(resolveSettings(undefined), { ...SETTINGS_DEFAULTS, product_name: SETTINGS_DEFAULTS.company_name });
+    assert.deepEqual(resolveSettings('garbage'), resolveSettings({}));
+});
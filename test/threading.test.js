@@ -0,0 +1,53 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    parseMessageIds,
+    formatMessageIds,
+    buildReferences,
+    normalizeSubject,
+    threadFields
+} = require('../functions/threading');
+
+test('parseMessageIds strips brackets, keeps order and drops duplicates', () => {
+    assert.deepEqual(parseMessageIds('<a@x> <b@x>\n <a@x>'), ['a@x', 'b@x']);
+    assert.deepEqual(parseMessageIds('<a@x>,<b@x>'), ['a@x', 'b@x']);
+    assert.deepEqual(parseMessageIds('a@x b@x, not-an-id'), ['a@x', 'b@x']);
+    assert.deepEqual(parseMessageIds(['<a@x> <b@x>', 'b@x c@x']), ['a@x', 'b@x', 'c@x']);
+    assert.deepEqual(parseMessageIds(''), []);
+    assert.deepEqual(parseMessageIds(null), []);
+});
+
+test('formatMessageIds writes a header value', () => {
+    assert.equal(formatMessageIds(['a@x', '<b@x>']), '<a@x> <b@x>');
+    assert.equal(formatMessageIds([]), '');
+});
+
+test('buildReferences appends the parent to its chain', () => {
+    assert.equal(buildReferences('<root@x> <mid@x>', '<parent@x>'), '<root@x> <mid@x> <parent@x>');
+    assert.equal(buildReferences('', 'parent@x'), '<parent@x>');
+    assert.equal(buildReferences('<root@x>', '<root@x>'), '<root@x>');
+});
+
+test('buildReferences keeps the root and the newest ids of a long chain', () => {
+    const chain = Array.from({ length: 30 }, (_, i) => `<m${i}@x>`).join(' ');
+    const ids = parseMessageIds(buildReferences(chain, '<parent@x>'));
+    assert.equal(ids.length, 20);
+    assert.equal(ids[0], 'm0@x');
+    assert.equal(ids[1], 'm12@x');
+    assert.equal(ids[19], 'parent@x');
+});
+
+test('normalizeSubject removes reply and forward prefixes in any language and [tags]', () => {
+    assert.equal(normalizeSubject('Re: RE: Fwd: Pricing  question'), 'pricing question');
+    assert.equal(normalizeSubject('AW: WG: Angebot'), 'angebot');
+    assert.equal(normalizeSubject('Re[2]: [External] Demo next week'), 'demo next week');
+    assert.equal(normalizeSubject('Regarding: the demo'), 'regarding: the demo');
+    assert.equal(normalizeSubject(undefined), '');
+});
+
+test('threadFields pairs the normalized subject with the bare contact address', () => {
+    assert.deepEqual(threadFields('Re: Pricing', 'Jane Doe <Jane@Example.com>'), {
+        normalized_subject: 'pricing',
+        contact_email: 'jane@example.com'
+    });
+});
@@ -0,0 +1,92 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    isValidTimeZone,
+    getTimeZoneOffsetMinutes,
+    formatOffset,
+    toZonedDateString,
+    toZonedISOString,
+    zonedTimeToUtc,
+    parseZonedDateTime,
+    addZonedDays,
+    atZonedHour
+} = require('../functions/timezone');
+
+test('isValidTimeZone accepts IANA zones only', () => {
+    assert.equal(isValidTimeZone('America/New_York'), true);
+    assert.equal(isValidTimeZone('UTC'), true);
+    assert.equal(isValidTimeZone('Mars/Olympus_Mons'), false);
+});
+
+test('offsets follow daylight saving time', () => {
+    assert.equal(getTimeZoneOffsetMinutes('America/Los_Angeles', new Date('2025-07-01T12:00:00Z')), -420);
+    assert.equal(getTimeZoneOffsetMinutes('America/Los_Angeles', new Date('2025-01-15T12:00:00Z')), -480);
+    assert.equal(getTimeZoneOffsetMinutes('Asia/Kolkata', new Date('2025-01-15T12:00:00Z')), 330);
+});
+
+test('formatOffset pads hours and minutes', () => {
+    assert.equal(formatOffset(-420), '-07:00');
+    assert.equal(formatOffset(330), '+05:30');
+    assert.equal(formatOffset(0), '+00:00');
+});
+
+test('zoned strings use the wall time and offset of the instant', () => {
+    const instant = new Date('2025-11-03T23:00:00Z');
+    assert.equal(toZonedDateString(instant, 'America/Los_Angeles'), '2025-11-03');
+    assert.equal(toZonedDateString(instant, 'Europe/Berlin'), '2025-11-04');
+    assert.equal(toZonedISOString(instant, 'America/Los_Angeles'), '2025-11-03T15:00:00-08:00');
+});
+
+test('zonedTimeToUtc converts wall time on both sides of a change', () => {
+    assert.equal(
+        zonedTimeToUtc({ year: 2025, month: 3, day: 8, hour: 9 }, 'America/New_York').toISOString(),
+        '2025-03-08T14:00:00.000Z'
+    );
+    assert.equal(
+        zonedTimeToUtc({ year: 2025, month: 3, day: 10, hour: 9 }, 'America/New_York').toISOString(),
+        '2025-03-10T13:00:00.000Z'
+    );
+});
+
+test('zonedTimeToUtc resolves skipped and repeated wall times', () => {
+    // 02:30 doesn't exist on 2025-03-09 in New York; it lands just after the change
+    assert.equal(
+        zonedTimeToUtc({ year: 2025, month: 3, day: 9, hour: 2, minute: 30 }, 'America/New_York').toISOString(),
+        '2025-03-09T07:30:00.000Z'
+    );
+    // 01:30 happens twice on 2025-11-02; the first (daylight time) is used
+    assert.equal(
+        zonedTimeToUtc({ year: 2025, month: 11, day: 2, hour: 1, minute: 30 }, 'America/New_York').toISOString(),
+        '2025-11-02T05:30:00.000Z'
+    );
+});
+
+test('zonedTimeToUtc rolls fields past their range over', () => {
+    assert.equal(
+        zonedTimeToUtc({ year: 2025, month: 1, day: 32, hour: 12 }, 'UTC').toISOString(),
+        '2025-02-01T12:00:00.000Z'
+    );
+});
+
+test('parseZonedDateTime reads bare strings as wall time and keeps explicit offsets', () => {
+    assert.equal(parseZonedDateTime('2025-11-03T15:00', 'America/Los_Angeles').toISOString(), '2025-11-03T23:00:00.000Z');
+    assert.equal(parseZonedDateTime('2025-11-03 15:00:30', 'Europe/Berlin').toISOString(), '2025-11-03T14:00:30.000Z');
+    assert.equal(parseZonedDateTime('2025-11-03', 'Asia/Tokyo').toISOString(), '2025-11-02T15:00:00.000Z');
+    assert.equal(parseZonedDateTime('2025-11-03T15:00:00Z', 'Asia/Tokyo').toISOString(), '2025-11-03T15:00:00.000Z');
+    assert.equal(parseZonedDateTime('2025-11-03T15:00:00-05:00', 'UTC').toISOString(), '2025-11-03T20:00:00.000Z');
+    assert.equal(parseZonedDateTime('next tuesday', 'UTC'), null);
+    assert.equal(parseZonedDateTime('', 'UTC'), null);
+});
+
+test('addZonedDays keeps the wall time across a daylight saving change', () => {
+    const start = new Date('2025-11-01T16:00:00Z'); // 09:00 in Los Angeles
+    const next = addZonedDays(start, 2, 'America/Los_Angeles');
+    assert.equal(toZonedISOString(next, 'America/Los_Angeles'), '2025-11-03T09:00:00-08:00');
+    assert.equal(next.getTime() - start.getTime(), 49 * 3600 * 1000);
+});
+
+test('atZonedHour finds the hour on the same local day', () => {
+    const instant = new Date('2025-06-10T02:00:00Z'); // still June 9th in New York
+    assert.equal(atZonedHour(instant, 17, 'America/New_York').toISOString(), '2025-06-09T21:00:00.000Z');
+    assert.equal(atZonedHour(instant, 8, 'America/New_York', 30).toISOString(), '2025-06-09T12:30:00.000Z');
+});
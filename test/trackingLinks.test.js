@@ -0,0 +1,98 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    signClickLink,
+    verifyClickLink,
+    buildClickTrackingUrl,
+    buildPixelUrl,
+    getTrackingBaseUrl,
+    signUnsubscribeLink,
+    verifyUnsubscribeLink,
+    buildUnsubscribeUrl,
+    parseDestination,
+    isDestinationAllowed
+} = require('../functions/trackingLinks');
+
+const SECRET = 'test-click-secret';
+
+function withEnv(t, values) {
+    const saved = {};
+    for (const [name, value] of Object.entries(values)) {
+        saved[name] = process.env[name];
+        if (value === undefined) delete process.env[name];
+        else process.env[name] = value;
+    }
+    t.after(() => {
+        for (const [name, value] of Object.entries(saved)) {
+            if (value === undefined) delete process.env[name];
+            else process.env[name] = value;
+        }
+    });
+}
+
+test('click signatures cover the tracking id and the exact URL', () => {
+    const signature = signClickLink('t1', 'https://example.com/a', SECRET);
+    assert.equal(verifyClickLink('t1', 'https://example.com/a', signature, SECRET), true);
+    assert.equal(verifyClickLink('t2', 'https://example.com/a', signature, SECRET), false);
+    assert.equal(verifyClickLink('t1', 'https://evil.example/a', signature, SECRET), false);
+    assert.equal(verifyClickLink('t1', 'https://example.com/a', `${signature}x`, SECRET), false);
+    assert.equal(verifyClickLink('t1', 'https://example.com/a', signature, 'other-secret'), false);
+});
+
+test('verification fails without a secret or a signature', () => {
+    const signature = signClickLink('t1', 'https://example.com/a', '');
+    assert.equal(verifyClickLink('t1', 'https://example.com/a', signature, ''), false);
+    assert.equal(verifyClickLink('t1', 'https://example.com/a', undefined, SECRET), false);
+    assert.equal(verifyUnsubscribeLink('t1', 'a@example.com', signature, ''), false);
+});
+
+test('unsubscribe signatures cover the tracking id and the address, case-insensitively', () => {
+    const signature = signUnsubscribeLink('t1', 'Ann@Example.com', SECRET);
+    assert.equal(verifyUnsubscribeLink('t1', 'ann@example.com', signature, SECRET), true);
+    assert.equal(verifyUnsubscribeLink('t1', 'bob@example.com', signature, SECRET), false);
+    assert.equal(verifyUnsubscribeLink('t2', 'ann@example.com', signature, SECRET), false);
+    assert.notEqual(signature, signClickLink('t1', 'ann@example.com', SECRET));
+});
+
+test('built URLs use TRACKING_BASE_URL and carry verifiable signatures', (t) => {
+    withEnv(t, { CLICK_SIGNING_SECRET: SECRET, TRACKING_BASE_URL: 'https://track.example.com//', URL: 'https://site.example.com' });
+
+    assert.equal(getTrackingBaseUrl(), 'https://track.example.com');
+    assert.equal(buildPixelUrl('a/b'), 'https://track.example.com/track/pixel/a%2Fb.png');
+
+    const click = new URL(buildClickTrackingUrl('t1', 'https://example.com/?q=1&r=2'));
+    assert.equal(click.pathname, '/track/click/t1');
+    assert.equal(click.searchParams.get('url'), 'https://example.com/?q=1&r=2');
+    assert.equal(verifyClickLink('t1', click.searchParams.get('url'), click.searchParams.get('sig')), true);
+
+    const unsubscribe = new URL(buildUnsubscribeUrl('t1', 'Ann@Example.com'));
+    assert.equal(unsubscribe.pathname, '/unsubscribe');
+    assert.equal(unsubscribe.searchParams.get('email'), 'ann@example.com');
+    assert.equal(verifyUnsubscribeLink('t1', 'ann@example.com', unsubscribe.searchParams.get('sig')), true);
+});
+
+test('the site URL is the tracking base when TRACKING_BASE_URL is unset', (t) => {
+    withEnv(t, { TRACKING_BASE_URL: undefined, URL: 'https://site.example.com/' });
+    assert.equal(getTrackingBaseUrl(), 'https://site.example.com');
+});
+
+test('parseDestination only accepts http(s) URLs', () => {
+    assert.equal(parseDestination('https://example.com/x').hostname, 'example.com');
+    assert.equal(parseDestination('javascript:alert(1)'), null);
+    assert.equal(parseDestination('mailto:a@example.com'), null);
+    assert.equal(parseDestination('not a url'), null);
+});
+
+test('isDestinationAllowed matches domains and their subdomains', () => {
+    assert.equal(isDestinationAllowed('https://anything.example/x', []), true);
+    assert.equal(isDestinationAllowed('ftp://example.com', []), false);
+
+    const allowed = ['example.com', '*.docs.example.org'];
+    assert.equal(isDestinationAllowed('https://example.com/x', allowed), true);
+    assert.equal(isDestinationAllowed('https://www.EXAMPLE.com/x', allowed), true);
+    assert.equal(isDestinationAllowed('https://api.docs.example.org', allowed), true);
+    assert.equal(isDestinationAllowed('https://docs.example.org', allowed), true);
+    assert.equal(isDestinationAllowed('https://example.org', allowed), false);
+    assert.equal(isDestinationAllowed('https://notexample.com', allowed), false);
+    assert.equal(isDestinationAllowed('https://example.com.evil.net', allowed), false);
+});